@@ -1,24 +1,123 @@
 const statusMessage = document.getElementById('status-message');
+const dataAsOfNote = document.getElementById('data-as-of');
 const categoryFilters = document.getElementById('category-filters');
 const searchInput = document.getElementById('search-input');
+const serviceFilters = document.getElementById('service-filters');
+const zoomToResultsButton = document.getElementById('zoom-to-results');
+const resultsList = document.getElementById('results-list');
+const resultsSort = document.getElementById('results-sort');
+const resultsNote = document.getElementById('results-note');
+const nearestPickButton = document.getElementById('nearest-pick');
+const nearestLocateButton = document.getElementById('nearest-locate');
+const nearestCount = document.getElementById('nearest-count');
+const nearestList = document.getElementById('nearest-list');
+const nearestNote = document.getElementById('nearest-note');
+const nearestClearButton = document.getElementById('nearest-clear');
+const nearestHint = nearestNote.textContent.trim();
+const downloadFormat = document.getElementById('download-format');
+const downloadButton = document.getElementById('download-results');
+const downloadNote = document.getElementById('download-note');
+const proposeButton = document.getElementById('propose-start');
+const proposalForm = document.getElementById('proposal-form');
+const proposalMode = document.getElementById('proposal-mode');
+const proposalServices = document.getElementById('proposal-services');
+const proposalIssues = document.getElementById('proposal-issues');
+const proposalSubmit = document.getElementById('proposal-submit');
+const proposalCancel = document.getElementById('proposal-cancel');
+const proposalInputs = Object.fromEntries(
+  ['id', 'title', 'category', 'description', 'link', 'lat', 'lng'].map((name) => [
+    name,
+    document.getElementById(`proposal-${name}`),
+  ])
+);
+const proposalRepository = MarkerProposal.repositoryUrl(
+  document.querySelector('meta[name="marker-repository"]')?.content,
+  window.location
+);
 
+const { SERVICE_LABELS } = MarkerStats;
+
+// The cluster layer needs a max zoom before the tile layer arrives.
 const map = L.map('map', {
   worldCopyJump: true,
+  maxZoom: MarkerOffline.DEFAULT_TILES.options.maxZoom,
+});
+
+// The provider comes from docs/data/tile_config.json.
+MarkerOffline.loadTileConfig().then(({ url, options, error }) => {
+  if (error) console.warn(`${error} Using OpenStreetMap tiles.`);
+  if (options.maxZoom !== undefined) map.setMaxZoom(options.maxZoom);
+  L.tileLayer(url, options).addTo(map);
 });
 
-L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-  attribution:
-    '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
-  maxZoom: 19,
+const CATEGORY_COLORS = {
+  community: '#db2777',
+  education: '#7c3aed',
+  health: '#dc2626',
+  infrastructure: '#475569',
+  parks: '#16a34a',
+  safety: '#ea580c',
+  transportation: '#0891b2',
+  other: '#6b7280',
+  africa: '#ca8a04',
+  asia: '#dc2626',
+  europe: '#2563eb',
+  'latin america': '#16a34a',
+  'middle east': '#ea580c',
+  'north america': '#7c3aed',
+  oceania: '#0891b2',
+};
+const FALLBACK_COLORS = ['#0f766e', '#9333ea', '#b45309', '#be123c', '#1d4ed8', '#4d7c0f'];
+const CUSTOM_ICON_SIZE = [32, 32];
+const FOCUS_ZOOM = 10;
+const SEARCH_DEBOUNCE_MS = 200;
+const RESULTS_LIMIT = 500;
+const HISTORY_LIMIT = 5;
+// Non-point geometries are drawn as vector shapes outside the cluster group.
+const SHAPE_LABELS = {
+  LineString: 'Line',
+  Polygon: 'Area',
+  MultiPolygon: 'Area',
+};
+
+const markerLayer = L.markerClusterGroup({
+  chunkedLoading: true,
+  showCoverageOnHover: false,
+  spiderfyOnMaxZoom: true,
+  maxClusterRadius: 45,
 }).addTo(map);
+const shapeLayer = L.featureGroup().addTo(map);
+// Origin and distance lines of the nearest-sites lookup, drawn above shapes.
+const nearestLayer = L.featureGroup().addTo(map);
 
-let markerLayer = L.layerGroup().addTo(map);
+// Markers (and shapes) are built once per feature and then only added to or
+// removed from their layer as filters change.
+const markerCache = new Map();
+let visibleMarkers = new Set();
 let allFeatures = [];
+let hasRendered = false;
+let openMarkerId = null;
+let searchTerms = [];
+let searchScores = new Map();
+let historyByMarker = new Map();
+let applyingHash = false;
+let nearestOrigin = null;
+let markerSchema = null;
+// The open proposal: { kind: 'add' | 'update', current: feature or null }.
+let proposal = null;
+const proposalPin = L.marker([0, 0], { draggable: true, autoPan: true, title: 'Proposed location' });
 
 function setStatus(message) {
   statusMessage.textContent = message;
 }
 
+// Says how old the marker data is when the service worker served a cached copy.
+function showDataAge(response) {
+  const stamp = MarkerOffline.cachedAt(response);
+  dataAsOfNote.hidden = !stamp;
+  dataAsOfNote.textContent = stamp ? MarkerOffline.dataAsOf(stamp) : '';
+}
+
 function normalizeText(value) {
   return (value || '').toString().trim();
 }
@@ -32,24 +131,207 @@ function safeHtml(text) {
     .replace(/'/g, '&#39;');
 }
 
+// Escaped text with the current search terms marked; `field` limits which
+// qualified terms (e.g. country:japan) apply.
+function markText(text, field) {
+  return searchTerms.length ? MarkerSearch.highlight(normalizeText(text), searchTerms, field) : safeHtml(text);
+}
+
+function servicesPopup(services) {
+  if (!services || typeof services !== 'object') return '';
+
+  const enabled = Object.keys(SERVICE_LABELS)
+    .filter((key) => services[key] === true)
+    .map((key) => SERVICE_LABELS[key]);
+  const fabric = normalizeText(services.peering_fabric);
+
+  return `
+      <p><strong>Services:</strong> ${enabled.length ? markText(enabled.join(', '), 'service') : 'None'}</p>
+      ${fabric ? `<p><strong>Peering fabric:</strong> ${markText(fabric, 'fabric')}</p>` : ''}`;
+}
+
+function historyValue(value) {
+  if (value === null || value === undefined) return '—';
+  if (value.type === 'Point' && Array.isArray(value.coordinates)) {
+    return value.coordinates.map((n) => Number(n).toFixed(4)).join(', ');
+  }
+  if (value.type && Array.isArray(value.coordinates)) return value.type;
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}…` : text;
+}
+
+function historyPopup(id) {
+  const entries = historyByMarker.get(id) || [];
+  if (!entries.length) return '';
+
+  const items = entries.slice(0, HISTORY_LIMIT).map((entry) => {
+    const who = entry.author ? `@${entry.author}` : entry.source || 'automation';
+    const issue = entry.issue
+      ? entry.issue_url
+        ? ` (<a href="${safeHtml(entry.issue_url)}" target="_blank" rel="noopener noreferrer">#${safeHtml(entry.issue)}</a>)`
+        : ` (#${safeHtml(entry.issue)})`
+      : '';
+    const changes = Object.entries(entry.changes || {})
+      .map(
+        ([field, change]) =>
+          `<li><code>${safeHtml(field)}</code>: ${safeHtml(historyValue(change.before))} → ${safeHtml(
+            historyValue(change.after)
+          )}</li>`
+      )
+      .join('');
+    return `
+        <li>
+          ${safeHtml(normalizeText(entry.timestamp).slice(0, 10))} · ${safeHtml(entry.operation)} by ${safeHtml(who)}${issue}
+          <ul>${changes}</ul>
+        </li>`;
+  });
+
+  return `
+      <details class="popup-history">
+        <summary>History (${entries.length})</summary>
+        <ol>${items.join('')}</ol>
+      </details>`;
+}
+
 function markerPopup(feature) {
   const props = feature.properties || {};
   const link = normalizeText(props.link);
 
   return `
     <article>
-      <h3>${safeHtml(props.title || 'Untitled marker')}</h3>
-      <p>${safeHtml(props.description || 'No description provided.')}</p>
-      <p><strong>Category:</strong> ${safeHtml(props.category || 'Uncategorized')}</p>
+      <h3>${markText(props.title || 'Untitled marker', 'title')}</h3>
+      <p>${markText(props.description || 'No description provided.', 'description')}</p>
+      <p><strong>Category:</strong> ${markText(props.category || 'Uncategorized', 'category')}</p>${
+        props.country ? `\n      <p><strong>Country:</strong> ${markText(props.country, 'country')}</p>` : ''
+      }${servicesPopup(props.services)}
       <p><strong>Link:</strong> ${
         link
           ? `<a href="${safeHtml(link)}" target="_blank" rel="noopener noreferrer">${safeHtml(link)}</a>`
           : 'None'
       }</p>
+      <p class="popup-meta">ID <code>${safeHtml(props.id)}</code>${
+        props.updated_at ? ` · updated_at <code>${safeHtml(props.updated_at)}</code>` : ''
+      }</p>${historyPopup(props.id)}
+      <p class="popup-actions">
+        <a href="./markers/${encodeURIComponent(props.id)}/">Details</a>
+        <button type="button" data-propose="${safeHtml(props.id)}">Propose update</button>${
+          proposalRepository
+            ? `<a href="${safeHtml(
+                MarkerProposal.issueUrl(proposalRepository, 'delete', { id: props.id }, props.title || props.id)
+              )}" target="_blank" rel="noopener noreferrer">Propose deletion</a>`
+            : ''
+        }
+      </p>
     </article>
   `;
 }
 
+function categoryColor(category) {
+  const key = normalizeText(category).toLowerCase();
+  if (CATEGORY_COLORS[key]) return CATEGORY_COLORS[key];
+
+  let hash = 0;
+  for (const char of key) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return FALLBACK_COLORS[hash % FALLBACK_COLORS.length];
+}
+
+function categoryIcon(category) {
+  return L.divIcon({
+    className: 'marker-pin',
+    html: `<span style="background:${categoryColor(category)}"></span>`,
+    iconSize: [22, 22],
+    iconAnchor: [11, 11],
+    popupAnchor: [0, -10],
+  });
+}
+
+function isIconUrl(value) {
+  try {
+    const url = new URL(value);
+    return ['http:', 'https:'].includes(url.protocol);
+  } catch {
+    return false;
+  }
+}
+
+// properties.icon may be "default" or an image URL. Broken images fall back to
+// the category pin so a bad URL never leaves an invisible marker.
+function createMarker(feature, latLng) {
+  const props = feature.properties || {};
+  const fallback = categoryIcon(props.category);
+  const iconUrl = normalizeText(props.icon);
+
+  if (!iconUrl || iconUrl === 'default' || !isIconUrl(iconUrl)) {
+    return L.marker(latLng, { icon: fallback, title: normalizeText(props.title) });
+  }
+
+  const marker = L.marker(latLng, {
+    title: normalizeText(props.title),
+    icon: L.icon({
+      iconUrl,
+      iconSize: CUSTOM_ICON_SIZE,
+      iconAnchor: [CUSTOM_ICON_SIZE[0] / 2, CUSTOM_ICON_SIZE[1]],
+      popupAnchor: [0, -CUSTOM_ICON_SIZE[1] + 4],
+      className: 'marker-custom-icon',
+    }),
+  });
+
+  marker.on('add', () => {
+    const element = marker.getElement();
+    if (!element) return;
+    element.addEventListener('error', () => marker.setIcon(fallback), { once: true });
+  });
+
+  return marker;
+}
+
+function shapeStyle(feature, highlighted = false) {
+  const color = categoryColor(feature.properties?.category);
+  const isLine = feature.geometry.type === 'LineString';
+  return {
+    color,
+    weight: (isLine ? 3 : 2) + (highlighted ? 3 : 0),
+    opacity: 0.9,
+    dashArray: isLine ? '8 6' : null,
+    fillColor: color,
+    fillOpacity: highlighted ? 0.35 : 0.15,
+  };
+}
+
+// Service regions and coverage areas (Polygon, MultiPolygon) and links
+// between sites (LineString), styled by category like the pins.
+function createShape(feature) {
+  try {
+    const layer = L.GeoJSON.geometryToLayer(feature);
+    layer.setStyle(shapeStyle(feature));
+    return layer;
+  } catch (error) {
+    console.warn(`Skipping marker ${feature.properties?.id}: invalid geometry.`, error);
+    return null;
+  }
+}
+
+function isShape(layer) {
+  return !(layer instanceof L.Marker);
+}
+
+function layerBounds(layer) {
+  return isShape(layer) ? layer.getBounds() : L.latLngBounds([layer.getLatLng()]);
+}
+
+// Zooms to a marker (out of its cluster) or fits a shape, then opens the
+// popup. With move: false a shape's popup opens without changing the view.
+function revealLayer(layer, { move = true } = {}) {
+  if (!isShape(layer)) {
+    markerLayer.zoomToShowLayer(layer, () => layer.openPopup());
+    return;
+  }
+  if (move) map.fitBounds(layer.getBounds(), { padding: [30, 30], maxZoom: FOCUS_ZOOM });
+  layer.openPopup();
+}
+
 function collectCategories(features) {
   const values = new Set();
   for (const feature of features) {
@@ -77,7 +359,64 @@ function buildCategoryControls(categories) {
     categoryFilters.appendChild(label);
   }
 
-  categoryFilters.addEventListener('change', renderMarkers);
+  categoryFilters.addEventListener('change', onFiltersChanged);
+}
+
+function collectServices(features) {
+  const present = new Set();
+  for (const feature of features) {
+    const services = feature?.properties?.services;
+    if (!services || typeof services !== 'object') continue;
+    for (const key of Object.keys(SERVICE_LABELS)) {
+      if (services[key] === true) present.add(key);
+    }
+  }
+  return Object.keys(SERVICE_LABELS).filter((key) => present.has(key));
+}
+
+function buildServiceControls(services) {
+  serviceFilters.innerHTML = '';
+
+  if (!services.length) {
+    serviceFilters.innerHTML = '<p class="hint">No service data available.</p>';
+    return;
+  }
+
+  const mode = document.createElement('fieldset');
+  mode.className = 'service-mode';
+  mode.innerHTML = `
+    <legend>Match</legend>
+    <label><input type="radio" name="service-mode" value="all" checked /> All selected</label>
+    <label><input type="radio" name="service-mode" value="any" /> Any selected</label>
+  `;
+  serviceFilters.appendChild(mode);
+
+  for (const key of services) {
+    const label = document.createElement('label');
+    label.htmlFor = `service-${key}`;
+    label.innerHTML = `<input type="checkbox" id="service-${key}" value="${key}" /> ${safeHtml(
+      SERVICE_LABELS[key]
+    )}`;
+    serviceFilters.appendChild(label);
+  }
+
+  serviceFilters.addEventListener('change', onFiltersChanged);
+}
+
+function getActiveServices() {
+  const checked = serviceFilters.querySelectorAll('input[type="checkbox"]:checked');
+  const mode = serviceFilters.querySelector('input[name="service-mode"]:checked');
+  return {
+    keys: Array.from(checked, (box) => box.value),
+    mode: mode ? mode.value : 'all',
+  };
+}
+
+function matchesServices(props, activeServices) {
+  if (!activeServices.keys.length) return true;
+  const services = props.services || {};
+  const test = (key) => services[key] === true;
+  return activeServices.mode === 'any' ? activeServices.keys.some(test) : activeServices.keys.every(test);
 }
 
 function getActiveCategories() {
@@ -91,7 +430,9 @@ function getActiveCategories() {
 
 function filterFeatures() {
   const activeCategories = getActiveCategories();
-  const query = normalizeText(searchInput.value).toLowerCase();
+  const activeServices = getActiveServices();
+  searchTerms = MarkerSearch.parseQuery(searchInput.value);
+  searchScores = new Map();
 
   return allFeatures.filter((feature) => {
     const props = feature.properties || {};
@@ -99,77 +440,697 @@ function filterFeatures() {
 
     const inCategory = activeCategories.size === 0 ? true : activeCategories.has(category);
     if (!inCategory) return false;
+    if (!matchesServices(props, activeServices)) return false;
 
-    if (!query) return true;
+    if (!searchTerms.length) return true;
 
-    const haystack = `${normalizeText(props.title)} ${normalizeText(props.description)}`.toLowerCase();
-    return haystack.includes(query);
+    const score = MarkerSearch.scoreFeature(props, searchTerms);
+    if (score) searchScores.set(feature, score);
+    return score > 0;
   });
 }
 
-function renderMarkers() {
-  markerLayer.clearLayers();
+function debounce(fn, wait) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), wait);
+  };
+}
 
-  const filtered = filterFeatures();
+function markerFor(feature) {
+  if (markerCache.has(feature)) return markerCache.get(feature);
 
-  if (!filtered.length) {
-    setStatus('No markers match your current filters.');
+  const geometry = feature?.geometry;
+  let marker = null;
+  if (geometry?.type === 'Point' && Array.isArray(geometry.coordinates) && geometry.coordinates.length === 2) {
+    const [lng, lat] = geometry.coordinates;
+    marker = createMarker(feature, [lat, lng]);
+  } else if (SHAPE_LABELS[geometry?.type]) {
+    marker = createShape(feature);
+  }
+
+  if (marker) {
+    marker.feature = feature;
+    // Built on open so the popup reflects the current search highlighting.
+    marker.bindPopup(() => markerPopup(feature));
+    marker.on('popupopen', () => {
+      openMarkerId = feature.properties?.id || null;
+      setActiveResult(openMarkerId);
+      syncHash('push');
+    });
+  }
+
+  markerCache.set(feature, marker);
+  return marker;
+}
+
+function zoomToResults() {
+  if (!visibleMarkers.size) return;
+  const bounds = L.latLngBounds([]);
+  for (const marker of visibleMarkers) bounds.extend(layerBounds(marker));
+  map.fitBounds(bounds, { padding: [30, 30], maxZoom: FOCUS_ZOOM });
+}
+
+function visibleFeatures() {
+  return allFeatures.filter((feature) => visibleMarkers.has(markerFor(feature)));
+}
+
+// Exports the markers currently on the map, using the same writers as
+// tools/convert.js so a download can be converted or re-imported as is.
+function downloadFilteredView() {
+  const format = window.MarkerFormats.FORMATS[downloadFormat.value];
+  const features = visibleFeatures();
+  const supported = features.filter((feature) => format.supports(feature.geometry.type));
+  const skipped = features.length - supported.length;
+
+  const blob = new Blob([format.write(supported)], { type: format.mime });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `markers-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+
+  downloadNote.textContent =
+    `Downloaded ${supported.length} marker${supported.length === 1 ? '' : 's'} as ${format.label}.` +
+    (skipped ? ` ${skipped} area${skipped === 1 ? '' : 's'} left out: ${format.label} cannot hold areas.` : '');
+}
+
+function setPicking(on) {
+  nearestPickButton.setAttribute('aria-pressed', String(on));
+  map.getContainer().classList.toggle('is-picking', on);
+}
+
+// Ranks the markers currently shown by distance from nearestOrigin and draws
+// a line to the nearest point of each of the top N. Runs again whenever the
+// filters change, so the list always respects them.
+function renderNearest() {
+  nearestLayer.clearLayers();
+  nearestList.innerHTML = '';
+  nearestClearButton.hidden = !nearestOrigin;
+  if (!nearestOrigin) return;
+
+  const { lat, lng } = nearestOrigin;
+  const ranked = MarkerNearest.rankNearest([lng, lat], visibleFeatures(), { limit: Number(nearestCount.value) });
+
+  L.circleMarker([lat, lng], { radius: 6, color: '#111827', weight: 2, fillColor: '#facc15', fillOpacity: 1 })
+    .bindTooltip('Lookup point')
+    .addTo(nearestLayer);
+
+  ranked.forEach((entry, index) => {
+    const props = entry.feature.properties || {};
+    const distance = MarkerNearest.formatDistance(entry.distance);
+    L.polyline(
+      [
+        [lat, lng],
+        [entry.position[1], entry.position[0]],
+      ],
+      { color: '#111827', weight: index ? 1.5 : 3, opacity: 0.7, dashArray: index ? '4 6' : null, interactive: false }
+    )
+      .bindTooltip(`${index + 1}. ${distance}`, { permanent: index < 3, direction: 'center', className: 'nearest-label' })
+      .addTo(nearestLayer);
+
+    const item = document.createElement('li');
+    item.innerHTML = `
+      <button type="button" class="result-item" data-id="${safeHtml(props.id)}">
+        <span class="result-title">${index + 1}. ${safeHtml(props.title || 'Untitled marker')}</span>
+        <span class="result-meta">${[distance, props.country, props.category].filter(Boolean).map(safeHtml).join(' · ')}</span>
+      </button>`;
+    nearestList.appendChild(item);
+  });
+
+  nearestNote.textContent = ranked.length
+    ? `Nearest ${ranked.length} of ${visibleMarkers.size} shown marker${visibleMarkers.size === 1 ? '' : 's'} to ${lat.toFixed(4)}, ${lng.toFixed(4)}.`
+    : 'No markers match the current filters.';
+}
+
+function setNearestOrigin(latLng) {
+  nearestOrigin = latLng ? L.latLng(latLng).wrap() : null;
+  renderNearest();
+  if (nearestOrigin && nearestLayer.getLayers().length > 1) {
+    map.fitBounds(nearestLayer.getBounds(), { padding: [30, 30], maxZoom: FOCUS_ZOOM });
+  }
+}
+
+function locateNearest() {
+  if (!navigator.geolocation) {
+    nearestNote.textContent = 'This browser cannot share its location. Pick a point on the map instead.';
     return;
   }
+  nearestNote.textContent = 'Finding your location…';
+  navigator.geolocation.getCurrentPosition(
+    (position) => setNearestOrigin([position.coords.latitude, position.coords.longitude]),
+    (error) => {
+      nearestNote.textContent = `Your location is unavailable (${error.message || 'permission denied'}). Pick a point on the map instead.`;
+    },
+    { enableHighAccuracy: false, timeout: 10000, maximumAge: 300000 }
+  );
+}
+
+// The schema drives the proposal checks and category list; without it only
+// geometry, IDs and nearby markers are checked.
+async function loadMarkerSchema() {
+  try {
+    const response = await fetch('./data/marker_schema.json', { cache: 'no-store' });
+    if (response.ok) markerSchema = await response.json();
+  } catch (error) {
+    console.warn('Marker schema is unavailable.', error);
+  }
+}
+
+function buildProposalControls() {
+  const categories =
+    markerSchema?.properties?.category?.enum ||
+    collectCategories(allFeatures).filter((category) => category !== 'Uncategorized');
+  proposalInputs.category.innerHTML = ['<option value="">(none)</option>']
+    .concat(categories.map((category) => `<option value="${safeHtml(category)}">${safeHtml(category)}</option>`))
+    .join('');
+
+  if (!proposalServices.querySelector('input')) {
+    for (const [key, label] of Object.entries(SERVICE_LABELS)) {
+      const item = document.createElement('label');
+      item.innerHTML = `<input type="checkbox" value="${safeHtml(key)}" /> ${safeHtml(label)}`;
+      proposalServices.appendChild(item);
+    }
+  }
+}
+
+function proposalValues() {
+  const coordinate = (input) => (input.disabled || !input.value.trim() ? undefined : Number(input.value));
+  const lat = coordinate(proposalInputs.lat);
+  const lng = coordinate(proposalInputs.lng);
+  return {
+    id: proposalInputs.id.value,
+    title: proposalInputs.title.value,
+    description: proposalInputs.description.value,
+    link: proposalInputs.link.value,
+    category: proposalInputs.category.value,
+    services: Array.from(proposalServices.querySelectorAll('input:checked')).map((box) => box.value),
+    ...(lat === undefined && lng === undefined ? {} : { lat, lng }),
+  };
+}
+
+// Rebuilds the proposed feature on every edit, runs the workflow's checks on
+// it and points the submit link at the prefilled issue form while it passes.
+function renderProposal() {
+  if (!proposal) return;
+
+  const { kind, current } = proposal;
+  const values = proposalValues();
+  const { feature, fields, subject, changed } = MarkerProposal.buildProposal(kind, values, {
+    current,
+    serviceKeys: Object.keys(SERVICE_LABELS),
+  });
+  const issues = MarkerProposal.checkProposal(feature, allFeatures, markerSchema, { current });
+  if (kind === 'update' && !changed) {
+    issues.unshift({ severity: 'error', label: 'Update', message: 'changes nothing yet. Edit at least one field.' });
+  }
+  if (!proposalRepository) {
+    issues.push({
+      severity: 'error',
+      label: 'Repository',
+      message: 'is unknown. Set the marker-repository meta tag in index.html.',
+    });
+  }
+
+  proposalIssues.innerHTML = '';
+  for (const issue of issues) {
+    const item = document.createElement('li');
+    item.className = `is-${issue.severity}`;
+    item.innerHTML = `<strong>${safeHtml(issue.label)}</strong> ${safeHtml(issue.message)}`;
+    proposalIssues.appendChild(item);
+  }
+
+  const blocked = issues.some((issue) => issue.severity === 'error');
+  if (blocked) proposalSubmit.removeAttribute('href');
+  else proposalSubmit.href = MarkerProposal.issueUrl(proposalRepository, kind, fields, subject);
+  proposalSubmit.setAttribute('aria-disabled', String(blocked));
+
+  const [lng, lat] = feature.geometry?.type === 'Point' ? feature.geometry.coordinates : [];
+  if (Number.isFinite(lat) && Number.isFinite(lng)) {
+    proposalPin.setIcon(categoryIcon(feature.properties.category));
+    proposalPin.setLatLng([lat, lng]).addTo(map);
+  } else {
+    proposalPin.remove();
+  }
+}
+
+function moveProposalPin(latLng) {
+  const { lat, lng } = L.latLng(latLng).wrap();
+  proposalInputs.lat.value = lat.toFixed(6);
+  proposalInputs.lng.value = lng.toFixed(6);
+  renderProposal();
+}
+
+// Add starts with the pin in the middle of the map; Update starts from the
+// marker's current values, and lines and areas keep their geometry.
+function openProposal(kind, feature = null) {
+  setPicking(false);
+  map.closePopup();
+  buildProposalControls();
+
+  proposal = { kind, current: feature };
+  const props = feature?.properties || {};
+  const point = feature?.geometry?.type === 'Point' ? feature.geometry.coordinates : null;
+  const movable = kind === 'add' || Boolean(point);
+
+  proposalInputs.id.value = props.id || '';
+  proposalInputs.id.disabled = kind === 'update';
+  for (const name of ['title', 'description', 'link']) proposalInputs[name].value = props[name] || '';
+  if (props.category && !Array.from(proposalInputs.category.options).some((option) => option.value === props.category)) {
+    proposalInputs.category.add(new Option(props.category, props.category));
+  }
+  proposalInputs.category.value = props.category || '';
+  for (const box of proposalServices.querySelectorAll('input')) box.checked = props.services?.[box.value] === true;
+  proposalInputs.lat.value = point ? String(point[1]) : '';
+  proposalInputs.lng.value = point ? String(point[0]) : '';
+  proposalInputs.lat.disabled = !movable;
+  proposalInputs.lng.disabled = !movable;
+
+  proposalMode.textContent =
+    kind === 'add'
+      ? 'New marker: click the map or drag the pin to place it.'
+      : movable
+        ? `Update ${props.id}: drag the pin to move it. Only changed fields are sent.`
+        : `Update ${props.id}: lines and areas keep their geometry here; edit it on the issue form.`;
+  proposalForm.hidden = false;
+  proposeButton.setAttribute('aria-pressed', 'true');
+  map.getContainer().classList.toggle('is-proposing', movable);
+
+  if (kind === 'add') moveProposalPin(map.getCenter());
+  else renderProposal();
+  if (point) map.panTo([point[1], point[0]]);
+  proposalInputs.title.focus();
+}
+
+function closeProposal() {
+  proposal = null;
+  proposalPin.remove();
+  proposalForm.hidden = true;
+  proposeButton.setAttribute('aria-pressed', 'false');
+  map.getContainer().classList.remove('is-proposing');
+}
+
+function compareFeatures(key) {
+  return (a, b) => {
+    const propsA = a.properties || {};
+    const propsB = b.properties || {};
+    if (key === 'relevance' && searchTerms.length) {
+      return (searchScores.get(b) || 0) - (searchScores.get(a) || 0) || compareFeatures('title')(a, b);
+    }
+    if (key === 'updated_at') {
+      return normalizeText(propsB.updated_at).localeCompare(normalizeText(propsA.updated_at));
+    }
+    const field = key === 'relevance' ? 'title' : key;
+    return (
+      normalizeText(propsA[field]).localeCompare(normalizeText(propsB[field])) ||
+      normalizeText(propsA.title).localeCompare(normalizeText(propsB.title))
+    );
+  };
+}
+
+function renderResults(features) {
+  const sorted = features.slice().sort(compareFeatures(resultsSort.value));
+  const shown = sorted.slice(0, RESULTS_LIMIT);
+  resultsList.innerHTML = '';
+
+  for (const feature of shown) {
+    const props = feature.properties || {};
+    const meta = [
+      SHAPE_LABELS[feature.geometry?.type] || '',
+      markText(props.category || 'Uncategorized', 'category'),
+      props.country ? markText(props.country, 'country') : '',
+      safeHtml(normalizeText(props.updated_at).slice(0, 10)),
+    ]
+      .filter(Boolean)
+      .join(' · ');
+
+    const item = document.createElement('li');
+    item.innerHTML = `
+      <button type="button" class="result-item" data-id="${safeHtml(props.id)}">
+        <span class="result-title">${markText(props.title || 'Untitled marker', 'title')}</span>
+        <span class="result-meta">${meta}</span>
+      </button>`;
+    resultsList.appendChild(item);
+  }
+
+  resultsNote.textContent =
+    sorted.length > shown.length ? `Listing the first ${shown.length} of ${sorted.length} results.` : '';
+  setActiveResult(openMarkerId);
+}
+
+function resultButtons() {
+  return Array.from(resultsList.querySelectorAll('.result-item'));
+}
+
+function setActiveResult(id) {
+  for (const button of resultButtons()) {
+    const active = Boolean(id) && button.dataset.id === id;
+    button.classList.toggle('is-active', active);
+    if (active) button.scrollIntoView({ block: 'nearest' });
+  }
+}
+
+// A clustered marker has no element of its own, so highlight its cluster.
+// Shapes are restyled instead.
+function highlightMarker(id, on) {
+  const marker = id ? findMarkerById(id) : null;
+  if (!marker || !visibleMarkers.has(marker)) return;
+  if (isShape(marker)) {
+    marker.setStyle(shapeStyle(marker.feature, on));
+    if (on) marker.bringToFront();
+    return;
+  }
+  const shown = markerLayer.getVisibleParent(marker) || marker;
+  const element = shown.getElement && shown.getElement();
+  if (element) element.classList.toggle('is-highlighted', on);
+}
+
+function openMarker(id) {
+  const marker = findMarkerById(id);
+  if (!marker || !visibleMarkers.has(marker)) return;
+  revealLayer(marker);
+}
+
+function onResultsKeydown(event) {
+  const buttons = resultButtons();
+  const index = buttons.indexOf(document.activeElement);
+  if (index === -1) return;
+
+  const moves = { ArrowDown: index + 1, ArrowUp: index - 1, Home: 0, End: buttons.length - 1 };
+  if (!(event.key in moves)) return;
+  event.preventDefault();
+  const next = buttons[Math.max(0, Math.min(buttons.length - 1, moves[event.key]))];
+  next.focus();
+}
+
+// Filters only change which markers are in the cluster group; the viewport is
+// left where the user put it unless this is the first render or they ask for
+// "Zoom to results".
+function renderMarkers() {
+  const filtered = filterFeatures();
+  const next = new Set();
+  let focusMarker = null;
 
-  const bounds = [];
   for (const feature of filtered) {
-    const coordinates = feature?.geometry?.coordinates;
-    if (!Array.isArray(coordinates) || coordinates.length !== 2) continue;
+    const marker = markerFor(feature);
+    if (!marker) continue;
+    next.add(marker);
 
-    const [lng, lat] = coordinates;
-    const marker = L.marker([lat, lng]);
-    marker.bindPopup(markerPopup(feature));
-    marker.addTo(markerLayer);
-    bounds.push([lat, lng]);
+    if (!focusMarker && feature.properties?.focus_on_load === true) {
+      focusMarker = marker;
+    }
+  }
+
+  const removed = Array.from(visibleMarkers).filter((marker) => !next.has(marker));
+  const added = Array.from(next).filter((marker) => !visibleMarkers.has(marker));
+  markerLayer.removeLayers(removed.filter((marker) => !isShape(marker)));
+  markerLayer.addLayers(added.filter((marker) => !isShape(marker)));
+  removed.filter(isShape).forEach((shape) => shapeLayer.removeLayer(shape));
+  added.filter(isShape).forEach((shape) => shapeLayer.addLayer(shape));
+  visibleMarkers = next;
+  zoomToResultsButton.disabled = !next.size;
+  downloadButton.disabled = !next.size || !window.MarkerFormats;
+  renderResults(filtered.filter((feature) => next.has(markerFor(feature))));
+  renderNearest();
+
+  if (!filtered.length) {
+    setStatus('No markers match your current filters.');
+    return;
   }
 
-  if (!bounds.length) {
+  if (!next.size) {
     setStatus('Marker data exists, but no valid coordinates were found.');
     return;
   }
 
-  map.fitBounds(bounds, { padding: [30, 30] });
-  setStatus(`Showing ${bounds.length} marker${bounds.length === 1 ? '' : 's'}.`);
+  // focus_on_load only applies to the first render.
+  if (!hasRendered) {
+    if (focusMarker) {
+      if (!isShape(focusMarker)) map.setView(focusMarker.getLatLng(), FOCUS_ZOOM);
+      revealLayer(focusMarker);
+    } else {
+      zoomToResults();
+    }
+    hasRendered = true;
+  }
+
+  setStatus(`Showing ${next.size} marker${next.size === 1 ? '' : 's'}.`);
+}
+
+function findMarkerById(id) {
+  const feature = allFeatures.find((item) => item?.properties?.id === id);
+  return feature ? markerFor(feature) : null;
+}
+
+function readHashState() {
+  const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+  const state = {};
+
+  const view = (params.get('map') || '').split('/').map(Number);
+  if (view.length === 3 && view.every(Number.isFinite)) {
+    state.zoom = view[0];
+    state.center = [view[1], view[2]];
+  }
+  if (params.has('cat')) state.categories = params.get('cat').split(',').filter(Boolean);
+  if (params.has('svc')) state.services = params.get('svc').split(',').filter(Boolean);
+  if (params.get('match') === 'any') state.match = 'any';
+  if (params.has('q')) state.query = params.get('q');
+  if (params.has('marker')) state.marker = params.get('marker');
+  return state;
+}
+
+// The hash mirrors what the user sees: view, filters, search and the open popup.
+// Categories are only listed when some but not all are checked.
+function buildHash() {
+  const params = new URLSearchParams();
+  const center = map.getCenter();
+  params.set('map', `${map.getZoom()}/${center.lat.toFixed(4)}/${center.lng.toFixed(4)}`);
+
+  const boxes = Array.from(categoryFilters.querySelectorAll('input[type="checkbox"]'));
+  const checked = boxes.filter((box) => box.checked).map((box) => box.value);
+  if (checked.length && checked.length < boxes.length) params.set('cat', checked.join(','));
+
+  const activeServices = getActiveServices();
+  if (activeServices.keys.length) {
+    params.set('svc', activeServices.keys.join(','));
+    if (activeServices.mode === 'any') params.set('match', 'any');
+  }
+
+  const query = normalizeText(searchInput.value);
+  if (query) params.set('q', query);
+  if (openMarkerId) params.set('marker', openMarkerId);
+
+  // Keep "/" and "," readable in shared links; URLSearchParams accepts both forms.
+  return `#${params.toString().replace(/%2F/g, '/').replace(/%2C/g, ',')}`;
+}
+
+function syncHash(mode = 'push') {
+  if (applyingHash || !hasRendered) return;
+  const hash = buildHash();
+  if (hash === window.location.hash) return;
+  if (mode === 'replace') history.replaceState(null, '', hash);
+  else history.pushState(null, '', hash);
+}
+
+function applyFilterState(state) {
+  for (const box of categoryFilters.querySelectorAll('input[type="checkbox"]')) {
+    box.checked = !state.categories || state.categories.includes(box.value);
+  }
+  for (const box of serviceFilters.querySelectorAll('input[type="checkbox"]')) {
+    box.checked = Boolean(state.services && state.services.includes(box.value));
+  }
+  const mode = serviceFilters.querySelector(`input[name="service-mode"][value="${state.match || 'all'}"]`);
+  if (mode) mode.checked = true;
+  searchInput.value = state.query || '';
+}
+
+function applyViewState(state) {
+  const marker = state.marker ? findMarkerById(state.marker) : null;
+  if (state.center) {
+    map.setView(state.center, state.zoom, { animate: false });
+  }
+  if (marker && visibleMarkers.has(marker)) {
+    if (!state.center && !isShape(marker)) map.setView(marker.getLatLng(), FOCUS_ZOOM, { animate: false });
+    revealLayer(marker, { move: !state.center });
+  } else {
+    map.closePopup();
+  }
+}
+
+function applyHashState() {
+  const state = readHashState();
+  applyingHash = true;
+  applyFilterState(state);
+  renderMarkers();
+  applyViewState(state);
+  // Leaflet fires moveend/popupopen asynchronously after setView.
+  setTimeout(() => {
+    applyingHash = false;
+  }, 0);
+}
+
+function hasHashView(state) {
+  return Boolean(state.center || state.marker);
+}
+
+function onFiltersChanged() {
+  renderMarkers();
+  syncHash('push');
+}
+
+// history.jsonl is optional; a missing or unreadable file just hides the
+// popup History section.
+async function loadHistory() {
+  try {
+    const response = await fetch('./data/history.jsonl', { cache: 'no-store' });
+    if (!response.ok) return;
+
+    const grouped = new Map();
+    for (const line of (await response.text()).split('\n')) {
+      if (!line.trim()) continue;
+      const entry = JSON.parse(line);
+      if (!grouped.has(entry.marker_id)) grouped.set(entry.marker_id, []);
+      grouped.get(entry.marker_id).unshift(entry);
+    }
+    historyByMarker = grouped;
+  } catch (error) {
+    console.warn('Marker history is unavailable.', error);
+  }
 }
 
 async function loadMarkers() {
   try {
+    loadHistory();
+    loadMarkerSchema();
     const response = await fetch('./data/markers.geojson', { cache: 'no-store' });
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}`);
     }
+    showDataAge(response);
 
     const data = await response.json();
     if (data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
       throw new Error('Expected a GeoJSON FeatureCollection with a features array.');
     }
 
-    allFeatures = data.features.filter((feature) => feature?.geometry?.type === 'Point');
+    allFeatures = data.features.filter(
+      (feature) =>
+        (feature?.geometry?.type === 'Point' || SHAPE_LABELS[feature?.geometry?.type]) &&
+        feature?.properties?.import_status !== 'removed'
+    );
 
     if (!allFeatures.length) {
       setStatus('No markers yet. Use the GitHub “Add Marker” issue form to create one.');
       categoryFilters.innerHTML = '<p class="hint">No categories available.</p>';
+      serviceFilters.innerHTML = '<p class="hint">No service data available.</p>';
       map.setView([20, 0], 2);
       return;
     }
 
     const categories = collectCategories(allFeatures);
     buildCategoryControls(categories);
-    renderMarkers();
+    buildServiceControls(collectServices(allFeatures));
+
+    // A deep link's view wins over focus_on_load and the initial fit.
+    const initialState = readHashState();
+    if (hasHashView(initialState)) hasRendered = true;
+    applyHashState();
+    hasRendered = true;
+    setTimeout(() => syncHash('replace'), 0);
   } catch (error) {
     console.error(error);
     setStatus('Could not load marker data. Please try again later.');
     categoryFilters.innerHTML =
       '<p class="hint">Category filters are unavailable because marker data failed to load.</p>';
+    serviceFilters.innerHTML =
+      '<p class="hint">Service filters are unavailable because marker data failed to load.</p>';
     map.setView([20, 0], 2);
   }
 }
 
-searchInput.addEventListener('input', renderMarkers);
+searchInput.addEventListener(
+  'input',
+  debounce(() => {
+    renderMarkers();
+    syncHash('replace');
+  }, SEARCH_DEBOUNCE_MS)
+);
+zoomToResultsButton.addEventListener('click', zoomToResults);
+downloadButton.addEventListener('click', downloadFilteredView);
+nearestPickButton.addEventListener('click', () =>
+  setPicking(nearestPickButton.getAttribute('aria-pressed') !== 'true')
+);
+nearestLocateButton.addEventListener('click', () => {
+  setPicking(false);
+  locateNearest();
+});
+nearestCount.addEventListener('change', renderNearest);
+nearestClearButton.addEventListener('click', () => {
+  setNearestOrigin(null);
+  nearestNote.textContent = nearestHint;
+});
+nearestList.addEventListener('click', (event) => {
+  const button = event.target.closest('.result-item');
+  if (button) openMarker(button.dataset.id);
+});
+for (const [type, on] of [['mouseover', true], ['mouseout', false], ['focusin', true], ['focusout', false]]) {
+  nearestList.addEventListener(type, (event) => {
+    const button = event.target.closest('.result-item');
+    if (button) highlightMarker(button.dataset.id, on);
+  });
+}
+proposeButton.addEventListener('click', () => {
+  if (proposal) closeProposal();
+  else openProposal('add');
+});
+proposalCancel.addEventListener('click', closeProposal);
+proposalForm.addEventListener('input', renderProposal);
+proposalForm.addEventListener('submit', (event) => event.preventDefault());
+
+map.on('moveend', () => syncHash('push'));
+map.on('click', (event) => {
+  if (nearestPickButton.getAttribute('aria-pressed') === 'true') {
+    setPicking(false);
+    setNearestOrigin(event.latlng);
+  } else if (proposal && !proposalInputs.lat.disabled) {
+    moveProposalPin(event.latlng);
+  }
+});
+map.on('popupopen', (event) => {
+  const button = event.popup.getElement()?.querySelector('[data-propose]');
+  if (!button) return;
+  button.addEventListener('click', () => {
+    const feature = allFeatures.find((item) => item.properties?.id === button.dataset.propose);
+    if (feature) openProposal('update', feature);
+  });
+});
+proposalPin.on('dragend', () => moveProposalPin(proposalPin.getLatLng()));
+map.on('popupclose', () => {
+  openMarkerId = null;
+  setActiveResult(null);
+  syncHash('replace');
+});
+
+resultsSort.addEventListener('change', () => renderResults(visibleFeatures()));
+resultsList.addEventListener('click', (event) => {
+  const button = event.target.closest('.result-item');
+  if (button) openMarker(button.dataset.id);
+});
+resultsList.addEventListener('keydown', onResultsKeydown);
+for (const [type, on] of [['mouseover', true], ['mouseout', false], ['focusin', true], ['focusout', false]]) {
+  resultsList.addEventListener(type, (event) => {
+    const button = event.target.closest('.result-item');
+    if (button) highlightMarker(button.dataset.id, on);
+  });
+}
+
+window.addEventListener('popstate', applyHashState);
+window.addEventListener('hashchange', () => {
+  if (window.location.hash !== buildHash()) applyHashState();
+});
 loadMarkers();
+MarkerOffline.registerServiceWorker();
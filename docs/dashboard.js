@@ -0,0 +1,310 @@
+const statusMessage = document.getElementById('status-message');
+const dataAsOfNote = document.getElementById('data-as-of');
+const summaryList = document.getElementById('stats-summary');
+const countryMapNote = document.getElementById('country-map-note');
+const serviceTable = document.getElementById('service-table');
+const regionTable = document.getElementById('region-table');
+const gapList = document.getElementById('gap-list');
+const freshnessChart = document.getElementById('freshness-chart');
+const freshnessNote = document.getElementById('freshness-note');
+const countryTable = document.getElementById('country-table');
+const dcTypeTable = document.getElementById('dc-type-table');
+
+const { SERVICE_LABELS, computeStats } = MarkerStats;
+
+// Natural Earth 1:110m countries, simplified and kept with the site so the map
+// works offline. Matched to properties.country by name, alias or ISO code.
+const BOUNDARIES_URL = './data/countries.geojson';
+const BOUNDARY_NAME_FIELDS = ['name', 'iso_a2', 'iso_a3'];
+// Lower bounds of the choropleth classes and their fills, light to dark.
+const SITE_BREAKS = [1, 2, 4, 8, 16];
+const SITE_COLORS = ['#dbeafe', '#93c5fd', '#60a5fa', '#2563eb', '#1e3a8a'];
+const NO_SITES_COLOR = '#f3f4f6';
+
+const map = L.map('country-map', { worldCopyJump: true }).setView([20, 0], 2);
+
+// The provider comes from docs/data/tile_config.json.
+MarkerOffline.loadTileConfig().then(({ url, options, error }) => {
+  if (error) console.warn(`${error} Using OpenStreetMap tiles.`);
+  L.tileLayer(url, options).addTo(map);
+});
+
+function setStatus(message) {
+  statusMessage.textContent = message;
+}
+
+// Says how old the marker data is when the service worker served a cached copy.
+function showDataAge(response) {
+  const stamp = MarkerOffline.cachedAt(response);
+  dataAsOfNote.hidden = !stamp;
+  dataAsOfNote.textContent = stamp ? MarkerOffline.dataAsOf(stamp) : '';
+}
+
+function normalizeText(value) {
+  return (value || '').toString().trim();
+}
+
+function safeHtml(text) {
+  return normalizeText(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Case-, accent- and punctuation-insensitive key for matching country names.
+function countryKey(name) {
+  return normalizeText(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '');
+}
+
+function plural(count, noun, nouns = `${noun}s`) {
+  return `${count} ${count === 1 ? noun : nouns}`;
+}
+
+function renderTable(table, headers, rows) {
+  table.innerHTML = `
+    <thead><tr>${headers.map((header) => `<th scope="col">${safeHtml(header)}</th>`).join('')}</tr></thead>
+    <tbody>${rows.join('')}</tbody>
+  `;
+}
+
+// One cell per service; zero counts in groups with service data are gaps.
+function serviceCells(group) {
+  return Object.keys(SERVICE_LABELS)
+    .map((key) => {
+      if (!group.with_services) return '<td class="is-empty">–</td>';
+      const count = group.services[key];
+      return count
+        ? `<td>${count}</td>`
+        : `<td class="is-gap" title="No ${safeHtml(SERVICE_LABELS[key])} in ${safeHtml(group.name)}">0</td>`;
+    })
+    .join('');
+}
+
+function renderSummary(stats) {
+  const cards = [
+    ['Sites', stats.total],
+    ['Countries', stats.countries.length],
+    ['Regions', stats.regions.length],
+    ['With service data', stats.with_services],
+    ['Median age', stats.freshness.median_age_days === null ? '–' : `${stats.freshness.median_age_days} days`],
+  ];
+  summaryList.innerHTML = cards
+    .map(([label, value]) => `<div class="stat-card"><dt>${safeHtml(label)}</dt><dd>${safeHtml(value)}</dd></div>`)
+    .join('');
+}
+
+function renderServices(stats) {
+  renderTable(
+    serviceTable,
+    ['Service', 'Sites', 'Share'],
+    stats.services.map(
+      (service) =>
+        `<tr><th scope="row">${safeHtml(service.label)}</th><td>${service.count}</td>` +
+        `<td>${service.share === null ? '–' : `${service.share}%`}</td></tr>`
+    )
+  );
+  renderTable(
+    regionTable,
+    ['Region', 'Sites', ...Object.values(SERVICE_LABELS)],
+    stats.regions.map(
+      (region) => `<tr><th scope="row">${safeHtml(region.name)}</th><td>${region.count}</td>${serviceCells(region)}</tr>`
+    )
+  );
+}
+
+function renderGaps(stats) {
+  gapList.innerHTML = Object.entries(SERVICE_LABELS)
+    .map(([key, label]) => {
+      const names = stats.gaps.countries[key];
+      return `<dt>${safeHtml(label)}</dt><dd>${names.length ? names.map(safeHtml).join(', ') : 'Available everywhere'}</dd>`;
+    })
+    .join('');
+}
+
+function renderFreshness(stats) {
+  const { buckets, unknown, newest, oldest } = stats.freshness;
+  const rows = unknown ? [...buckets, { label: 'Unknown', count: unknown }] : buckets;
+  const largest = Math.max(1, ...rows.map((row) => row.count));
+  freshnessChart.innerHTML = rows
+    .map(
+      (row) => `
+        <div class="bar-row">
+          <span class="bar-label">${safeHtml(row.label)}</span>
+          <span class="bar-track"><span class="bar" style="width: ${(row.count / largest) * 100}%"></span></span>
+          <span class="bar-value">${row.count}</span>
+        </div>
+      `
+    )
+    .join('');
+  freshnessNote.textContent = newest
+    ? `Newest update ${new Date(newest).toLocaleString()}, oldest ${new Date(oldest).toLocaleString()}.`
+    : 'No site has an updated_at timestamp.';
+}
+
+function renderCountries(stats) {
+  renderTable(
+    countryTable,
+    ['Country', 'Region', 'Sites', ...Object.values(SERVICE_LABELS)],
+    stats.countries.map(
+      (country) =>
+        `<tr><th scope="row">${safeHtml(country.name)}</th><td>${safeHtml(country.region || '–')}</td>` +
+        `<td>${country.count}</td>${serviceCells(country)}</tr>`
+    )
+  );
+  renderTable(
+    dcTypeTable,
+    ['DC type', 'Sites'],
+    stats.dc_types.map((type) => `<tr><th scope="row">${safeHtml(type.name)}</th><td>${type.count}</td></tr>`)
+  );
+}
+
+function siteColor(count) {
+  let color = NO_SITES_COLOR;
+  SITE_BREAKS.forEach((lower, index) => {
+    if (count >= lower) color = SITE_COLORS[index];
+  });
+  return color;
+}
+
+function addLegend() {
+  const legend = L.control({ position: 'bottomright' });
+  legend.onAdd = () => {
+    const container = L.DomUtil.create('div', 'map-legend');
+    const classes = SITE_BREAKS.map((lower, index) => {
+      const upper = SITE_BREAKS[index + 1] - 1;
+      const label = index === SITE_BREAKS.length - 1 ? `${lower}+` : upper > lower ? `${lower}–${upper}` : `${lower}`;
+      return `<li><span class="swatch" style="background: ${SITE_COLORS[index]}"></span>${label}</li>`;
+    });
+    container.innerHTML = `<strong>Sites</strong><ul>${classes.join('')}</ul>`;
+    return container;
+  };
+  legend.addTo(map);
+}
+
+// Mean position of a country's point sites, for countries too small to have a
+// boundary at this scale (Singapore, Bahrain, ...).
+function sitesCenter(features, name) {
+  const points = features
+    .filter(
+      (feature) =>
+        feature.properties?.import_status !== 'removed' &&
+        normalizeText(feature.properties?.country) === name &&
+        feature.geometry?.type === 'Point'
+    )
+    .map((feature) => feature.geometry.coordinates);
+  if (!points.length) return null;
+  const mean = (index) => points.reduce((sum, point) => sum + point[index], 0) / points.length;
+  return [mean(1), mean(0)];
+}
+
+// Countries without a boundary are drawn as circles and listed under the map.
+function showUnmatched(unmatched, features) {
+  for (const country of unmatched) {
+    const center = sitesCenter(features, country.name);
+    if (!center) continue;
+    L.circleMarker(center, {
+      radius: 6,
+      color: '#1f2937',
+      weight: 1,
+      fillColor: siteColor(country.count),
+      fillOpacity: 0.9,
+    })
+      .bindTooltip(`${safeHtml(country.name)}: ${plural(country.count, 'site')}`)
+      .addTo(map);
+  }
+  countryMapNote.textContent = unmatched.length
+    ? `Too small for the boundary map, marked with a circle at their sites: ${unmatched
+        .map((country) => `${country.name} (${plural(country.count, 'site')})`)
+        .join(', ')}.`
+    : '';
+}
+
+async function renderCountryMap(stats, features) {
+  const countsByKey = new Map(stats.countries.map((country) => [countryKey(country.name), country]));
+  try {
+    const response = await fetch(BOUNDARIES_URL);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const boundaries = await response.json();
+    const matched = new Set();
+    const countryFor = (feature) => {
+      const names = [
+        ...BOUNDARY_NAME_FIELDS.map((field) => feature.properties?.[field]),
+        ...(feature.properties?.aliases || []),
+      ];
+      for (const name of names) {
+        const country = countsByKey.get(countryKey(name));
+        if (country) return country;
+      }
+      return null;
+    };
+
+    L.geoJSON(boundaries, {
+      style: (feature) => ({
+        color: '#9ca3af',
+        weight: 0.6,
+        fillColor: siteColor(countryFor(feature)?.count || 0),
+        fillOpacity: 0.8,
+      }),
+      onEachFeature: (feature, layer) => {
+        const country = countryFor(feature);
+        if (country) matched.add(country.name);
+        const name = feature.properties?.name || country?.name || 'Unknown';
+        layer.bindTooltip(`${safeHtml(name)}: ${plural(country?.count || 0, 'site')}`, { sticky: true });
+      },
+    }).addTo(map);
+    addLegend();
+
+    showUnmatched(
+      stats.countries.filter((country) => !matched.has(country.name)),
+      features
+    );
+  } catch (error) {
+    console.warn('Country boundaries are unavailable.', error);
+    showUnmatched(stats.countries, features);
+    countryMapNote.textContent = 'Country boundaries could not be loaded, so each country is shown as a circle.';
+  }
+}
+
+async function loadStatistics() {
+  try {
+    const response = await fetch('./data/markers.geojson', { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    showDataAge(response);
+
+    const data = await response.json();
+    if (data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+      throw new Error('Expected a GeoJSON FeatureCollection with a features array.');
+    }
+
+    const stats = computeStats(data.features);
+    renderSummary(stats);
+    renderServices(stats);
+    renderGaps(stats);
+    renderFreshness(stats);
+    renderCountries(stats);
+    setStatus(
+      stats.total
+        ? `${plural(stats.total, 'site')} in ${plural(stats.countries.length, 'country', 'countries')}.`
+        : 'No markers yet. Use the GitHub “Add Marker” issue form to create one.'
+    );
+    if (stats.countries.length) await renderCountryMap(stats, data.features);
+    else countryMapNote.textContent = 'No site has a country yet.';
+  } catch (error) {
+    console.error(error);
+    setStatus('Could not load marker data. Please try again later.');
+  }
+}
+
+loadStatistics();
+MarkerOffline.registerServiceWorker();
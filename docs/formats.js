@@ -0,0 +1,217 @@
+// Marker export formats (GeoJSON, CSV, KML, GPX). Shared by the map, where it
+// is exposed as window.MarkerFormats, and by tools/convert.js, which requires
+// it and adds the readers.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MarkerFormats = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Leading CSV columns; every other property follows in order of first use.
+  const FIRST_COLUMNS = ['id', 'title', 'description', 'link', 'category', 'icon', 'lat', 'lng', 'geometry'];
+
+  // Namespace for marker properties stored in GPX <extensions>.
+  const GPX_NAMESPACE = 'urn:markers:properties:1';
+
+  // Nested objects (services) become dotted keys: services.dns, ...
+  function flattenProperties(props, prefix = '', out = {}) {
+    for (const [key, value] of Object.entries(props || {})) {
+      if (value && typeof value === 'object' && !Array.isArray(value)) flattenProperties(value, `${prefix}${key}.`, out);
+      else if (value !== undefined) out[`${prefix}${key}`] = value;
+    }
+    return out;
+  }
+
+  function textValue(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+
+  function wktPositions(positions) {
+    return positions.map((position) => `${position[0]} ${position[1]}`).join(', ');
+  }
+
+  function wktPolygon(rings) {
+    return `(${rings.map((ring) => `(${wktPositions(ring)})`).join(', ')})`;
+  }
+
+  function toWkt(geometry) {
+    const coords = geometry.coordinates;
+    if (geometry.type === 'Point') return `POINT (${coords[0]} ${coords[1]})`;
+    if (geometry.type === 'LineString') return `LINESTRING (${wktPositions(coords)})`;
+    if (geometry.type === 'Polygon') return `POLYGON ${wktPolygon(coords)}`;
+    if (geometry.type === 'MultiPolygon') return `MULTIPOLYGON (${coords.map(wktPolygon).join(', ')})`;
+    throw new Error(`Unsupported geometry type ${geometry.type}.`);
+  }
+
+  function csvCell(value) {
+    const text = textValue(value);
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Points are written as lat/lng columns, lines and areas as WKT in the
+  // geometry column.
+  function toCsv(features) {
+    const rows = features.map((feature) => {
+      const row = flattenProperties(feature.properties);
+      const geometry = feature.geometry;
+      if (geometry?.type === 'Point') {
+        row.lat = geometry.coordinates[1];
+        row.lng = geometry.coordinates[0];
+      } else if (geometry) {
+        row.geometry = toWkt(geometry);
+      }
+      return row;
+    });
+
+    const seen = new Set();
+    for (const row of rows) Object.keys(row).forEach((key) => seen.add(key));
+    const columns = [...FIRST_COLUMNS, ...Array.from(seen).filter((key) => !FIRST_COLUMNS.includes(key))];
+
+    const lines = [columns.join(',')];
+    for (const row of rows) lines.push(columns.map((column) => csvCell(row[column])).join(','));
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  function xmlEscape(value) {
+    return textValue(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;')
+      .replace(/\r/g, '&#13;'); // XML readers turn a raw CR LF into LF
+  }
+
+  function kmlCoordinates(positions) {
+    return `<coordinates>${positions.map((position) => `${position[0]},${position[1]}`).join(' ')}</coordinates>`;
+  }
+
+  function kmlPolygon(rings) {
+    const [outer, ...inner] = rings;
+    return [
+      '<Polygon>',
+      `<outerBoundaryIs><LinearRing>${kmlCoordinates(outer)}</LinearRing></outerBoundaryIs>`,
+      ...inner.map((ring) => `<innerBoundaryIs><LinearRing>${kmlCoordinates(ring)}</LinearRing></innerBoundaryIs>`),
+      '</Polygon>',
+    ].join('');
+  }
+
+  function kmlGeometry(geometry) {
+    const coords = geometry.coordinates;
+    if (geometry.type === 'Point') return `<Point>${kmlCoordinates([coords])}</Point>`;
+    if (geometry.type === 'LineString') return `<LineString>${kmlCoordinates(coords)}</LineString>`;
+    if (geometry.type === 'Polygon') return kmlPolygon(coords);
+    if (geometry.type === 'MultiPolygon') return `<MultiGeometry>${coords.map(kmlPolygon).join('')}</MultiGeometry>`;
+    throw new Error(`Unsupported geometry type ${geometry.type}.`);
+  }
+
+  // Every property is kept in <ExtendedData> so an export can be read back
+  // without loss; <name> and <description> are what Google Earth shows.
+  function toKml(features, { name = 'Markers' } = {}) {
+    const placemarks = features.map((feature) => {
+      const props = feature.properties || {};
+      const data = Object.entries(flattenProperties(props))
+        .map(([key, value]) => `        <Data name="${xmlEscape(key)}"><value>${xmlEscape(value)}</value></Data>`)
+        .join('\n');
+      return [
+        '    <Placemark>',
+        `      <name>${xmlEscape(props.title)}</name>`,
+        props.description ? `      <description>${xmlEscape(props.description)}</description>` : null,
+        '      <ExtendedData>',
+        data,
+        '      </ExtendedData>',
+        `      ${kmlGeometry(feature.geometry)}`,
+        '    </Placemark>',
+      ]
+        .filter((line) => line !== null)
+        .join('\n');
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2">',
+      '  <Document>',
+      `    <name>${xmlEscape(name)}</name>`,
+      ...placemarks,
+      '  </Document>',
+      '</kml>',
+      '',
+    ].join('\n');
+  }
+
+  function gpxDetails(props, indent) {
+    const lines = [`${indent}<name>${xmlEscape(props.title)}</name>`];
+    if (props.description) lines.push(`${indent}<desc>${xmlEscape(props.description)}</desc>`);
+    if (props.link) lines.push(`${indent}<link href="${xmlEscape(props.link)}"/>`);
+    if (props.category) lines.push(`${indent}<type>${xmlEscape(props.category)}</type>`);
+    lines.push(`${indent}<extensions>`);
+    for (const [key, value] of Object.entries(flattenProperties(props))) {
+      lines.push(`${indent}  <marker:property name="${xmlEscape(key)}">${xmlEscape(value)}</marker:property>`);
+    }
+    lines.push(`${indent}</extensions>`);
+    return lines;
+  }
+
+  // GPX has waypoints and routes only: points become <wpt>, lines <rte>, and
+  // areas cannot be represented (see FORMATS.gpx.supports).
+  function toGpx(features, { name = 'Markers' } = {}) {
+    const waypoints = [];
+    const routes = [];
+    for (const feature of features) {
+      const props = feature.properties || {};
+      const coords = feature.geometry?.coordinates;
+      if (feature.geometry?.type === 'Point') {
+        waypoints.push(
+          [`  <wpt lat="${coords[1]}" lon="${coords[0]}">`, ...gpxDetails(props, '    '), '  </wpt>'].join('\n')
+        );
+      } else if (feature.geometry?.type === 'LineString') {
+        routes.push(
+          [
+            '  <rte>',
+            ...gpxDetails(props, '    '),
+            ...coords.map((position) => `    <rtept lat="${position[1]}" lon="${position[0]}"/>`),
+            '  </rte>',
+          ].join('\n')
+        );
+      }
+    }
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<gpx version="1.1" creator="markers" xmlns="http://www.topografix.com/GPX/1/1" xmlns:marker="${GPX_NAMESPACE}">`,
+      `  <metadata><name>${xmlEscape(name)}</name></metadata>`,
+      ...waypoints,
+      ...routes,
+      '</gpx>',
+      '',
+    ].join('\n');
+  }
+
+  function toGeoJson(features) {
+    return `${JSON.stringify({ type: 'FeatureCollection', features }, null, 2)}\n`;
+  }
+
+  const FORMATS = {
+    geojson: { label: 'GeoJSON', extension: 'geojson', mime: 'application/geo+json', write: toGeoJson, supports: () => true },
+    csv: { label: 'CSV', extension: 'csv', mime: 'text/csv', write: toCsv, supports: () => true },
+    kml: { label: 'KML', extension: 'kml', mime: 'application/vnd.google-earth.kml+xml', write: toKml, supports: () => true },
+    gpx: {
+      label: 'GPX',
+      extension: 'gpx',
+      mime: 'application/gpx+xml',
+      write: toGpx,
+      supports: (type) => type === 'Point' || type === 'LineString',
+    },
+  };
+
+  return {
+    FIRST_COLUMNS,
+    FORMATS,
+    GPX_NAMESPACE,
+    flattenProperties,
+    toCsv,
+    toGeoJson,
+    toGpx,
+    toKml,
+    toWkt,
+  };
+});
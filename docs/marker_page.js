@@ -0,0 +1,28 @@
+// Mini-map on the per-marker pages written by tools/build_site.js. The page
+// embeds the marker's geometry; data-root on the script tag is the path back
+// to docs/.
+const markerRoot = document.currentScript?.dataset.root || './';
+const markerGeometry = JSON.parse(document.getElementById('marker-geometry').textContent);
+const PAGE_ZOOM = 12;
+
+const miniMap = L.map('mini-map', {
+  scrollWheelZoom: false,
+  maxZoom: MarkerOffline.DEFAULT_TILES.options.maxZoom,
+});
+
+MarkerOffline.loadTileConfig({ root: markerRoot }).then(({ url, options, error }) => {
+  if (error) console.warn(`${error} Using OpenStreetMap tiles.`);
+  if (options.maxZoom !== undefined) miniMap.setMaxZoom(options.maxZoom);
+  L.tileLayer(url, options).addTo(miniMap);
+});
+
+if (markerGeometry?.type === 'Point') {
+  const [lng, lat] = markerGeometry.coordinates;
+  L.marker([lat, lng]).addTo(miniMap);
+  miniMap.setView([lat, lng], PAGE_ZOOM);
+} else if (markerGeometry) {
+  const shape = L.geoJSON(markerGeometry, { style: { color: '#1d4ed8', weight: 3, fillOpacity: 0.15 } }).addTo(miniMap);
+  miniMap.fitBounds(shape.getBounds(), { padding: [20, 20] });
+} else {
+  miniMap.setView([20, 0], 2);
+}
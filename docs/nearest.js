@@ -0,0 +1,97 @@
+// Great-circle distances and nearest-marker ranking. Shared by the map, where
+// it is exposed as window.MarkerNearest, and by tools/nearest.js and
+// tools/distance.js.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MarkerNearest = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const EARTH_RADIUS_METERS = 6371008.8;
+
+  function toRadians(degrees) {
+    return (degrees * Math.PI) / 180;
+  }
+
+  // Great-circle distance between two [lng, lat] positions.
+  function haversineMeters([lng1, lat1], [lng2, lat2]) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a =
+      Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+  }
+
+  // Closest position to `point` on the segment a-b, found in a flat projection
+  // scaled to the point's latitude. Good enough for ranking sites.
+  function closestOnSegment(point, a, b) {
+    const scale = Math.cos(toRadians(point[1]));
+    const dx = (b[0] - a[0]) * scale;
+    const dy = b[1] - a[1];
+    const length = dx * dx + dy * dy;
+    if (!length) return a;
+    const t = Math.max(0, Math.min(1, (((point[0] - a[0]) * scale) * dx + (point[1] - a[1]) * dy) / length));
+    return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+  }
+
+  function insideRing(point, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i, i += 1) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if (yi > point[1] !== yj > point[1] && point[0] < ((xj - xi) * (point[1] - yi)) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  function insidePolygon(point, rings) {
+    return insideRing(point, rings[0]) && !rings.slice(1).some((hole) => insideRing(point, hole));
+  }
+
+  function closestOnLines(point, lines) {
+    let best = null;
+    for (const line of lines) {
+      for (let i = 0; i < line.length; i += 1) {
+        const position = i ? closestOnSegment(point, line[i - 1], line[i]) : line[0];
+        const distance = haversineMeters(point, position);
+        if (!best || distance < best.distance) best = { position, distance };
+      }
+    }
+    return best;
+  }
+
+  // Nearest position of a geometry to a [lng, lat] point as { position,
+  // distance }. Points inside an area are at distance 0.
+  function nearestPosition(geometry, point) {
+    const coords = geometry?.coordinates;
+    if (!Array.isArray(coords)) return null;
+    if (geometry.type === 'Point') return { position: coords, distance: haversineMeters(point, coords) };
+    if (geometry.type === 'LineString') return closestOnLines(point, [coords]);
+
+    const polygons = geometry.type === 'Polygon' ? [coords] : geometry.type === 'MultiPolygon' ? coords : [];
+    if (polygons.some((rings) => insidePolygon(point, rings))) return { position: point, distance: 0 };
+    return closestOnLines(point, polygons.flat());
+  }
+
+  // The `limit` features closest to a [lng, lat] point, nearest first, as
+  // { feature, position, distance } with distance in meters.
+  function rankNearest(point, features, { limit = 5 } = {}) {
+    return features
+      .map((feature) => ({ feature, ...nearestPosition(feature?.geometry, point) }))
+      .filter((entry) => Number.isFinite(entry.distance))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, limit);
+  }
+
+  function formatDistance(meters) {
+    return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(meters < 100000 ? 1 : 0)} km`;
+  }
+
+  return {
+    EARTH_RADIUS_METERS,
+    formatDistance,
+    haversineMeters,
+    nearestPosition,
+    rankNearest,
+  };
+});
@@ -0,0 +1,111 @@
+// Tile provider configuration and offline helpers shared by the map and the
+// dashboard, where it is exposed as window.MarkerOffline. The service worker
+// itself is docs/sw.js.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MarkerOffline = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const TILE_CONFIG_URL = './data/tile_config.json';
+  // Set by sw.js on responses it serves from its cache instead of the network.
+  const CACHED_AT_HEADER = 'X-Marker-Cached-At';
+
+  // Used when tile_config.json is missing or unusable.
+  const DEFAULT_TILES = {
+    provider: 'openstreetmap',
+    url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+    options: {
+      attribution:
+        '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors',
+      maxZoom: 19,
+    },
+  };
+
+  // Provider settings passed through to L.tileLayer.
+  const TILE_OPTIONS = {
+    attribution: 'string',
+    minZoom: 'number',
+    maxZoom: 'number',
+    maxNativeZoom: 'number',
+    subdomains: 'string',
+    tms: 'boolean',
+    detectRetina: 'boolean',
+    crossOrigin: 'boolean',
+  };
+
+  // Picks the selected provider from a tile_config.json object. Returns
+  // { provider, url, options, error }; error is set, and the defaults are
+  // returned, when the config can't be used.
+  function resolveTileConfig(config) {
+    const fallback = (error) => ({ ...DEFAULT_TILES, options: { ...DEFAULT_TILES.options }, error });
+    if (!config || typeof config !== 'object') return fallback('Tile config must be a JSON object.');
+
+    const name = config.provider;
+    const provider = config.providers?.[name];
+    if (!provider || typeof provider !== 'object') return fallback(`Tile provider "${name}" is not defined.`);
+    if (typeof provider.url !== 'string' || !['{z}', '{x}', '{y}'].every((part) => provider.url.includes(part))) {
+      return fallback(`Tile provider "${name}" needs a url with {z}, {x} and {y}.`);
+    }
+
+    const options = {};
+    for (const [key, type] of Object.entries(TILE_OPTIONS)) {
+      if (provider[key] === undefined) continue;
+      if (typeof provider[key] !== type) return fallback(`Tile provider "${name}": ${key} must be a ${type}.`);
+      options[key] = provider[key];
+    }
+    return { provider: name, url: provider.url, options, error: null };
+  }
+
+  // `root` is the path from the page to docs/, for pages in subdirectories.
+  // Relative tile URLs such as ./tiles/… are relative to docs/ as well.
+  async function loadTileConfig({ root = './', fetchImpl = fetch } = {}) {
+    const configUrl = `${root}${TILE_CONFIG_URL.replace(/^\.\//, '')}`;
+    try {
+      const response = await fetchImpl(configUrl, { cache: 'no-store' });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const tiles = resolveTileConfig(await response.json());
+      if (!/^([a-z][a-z0-9+.-]*:|\/)/i.test(tiles.url)) tiles.url = `${root}${tiles.url.replace(/^\.\//, '')}`;
+      return tiles;
+    } catch (error) {
+      return { ...resolveTileConfig(null), error: `Could not load ${configUrl}: ${error.message}` };
+    }
+  }
+
+  // When a response came from the service worker's cache, the time it was
+  // cached as an ISO string; null for fresh responses.
+  function cachedAt(response) {
+    const value = response?.headers?.get?.(CACHED_AT_HEADER);
+    return value && !Number.isNaN(Date.parse(value)) ? new Date(value).toISOString() : null;
+  }
+
+  function describeAge(stamp, now = new Date()) {
+    const minutes = Math.max(0, Math.round((new Date(now) - new Date(stamp)) / 60000));
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours} h ago`;
+    return `${Math.round(hours / 24)} days ago`;
+  }
+
+  // Text for the "data as of" notice shown over cached marker data.
+  function dataAsOf(stamp, { now = new Date(), locale } = {}) {
+    const when = new Date(stamp).toLocaleString(locale, { dateStyle: 'medium', timeStyle: 'short' });
+    return `Offline or slow connection: showing marker data as of ${when} (${describeAge(stamp, now)}).`;
+  }
+
+  function registerServiceWorker(url = './sw.js') {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+    if (!/^https?:$/.test(window.location.protocol)) return;
+    navigator.serviceWorker.register(url).catch((error) => console.warn('Offline support is unavailable.', error));
+  }
+
+  return {
+    CACHED_AT_HEADER,
+    DEFAULT_TILES,
+    TILE_CONFIG_URL,
+    cachedAt,
+    dataAsOf,
+    loadTileConfig,
+    registerServiceWorker,
+    resolveTileConfig,
+  };
+});
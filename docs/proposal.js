@@ -0,0 +1,176 @@
+// Turns a marker proposed on the map into a prefilled GitHub issue link, and
+// checks it with the same rules the issue workflow applies. Exposed as
+// window.MarkerProposal on the map.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./validate'), require('./nearest'));
+  else root.MarkerProposal = factory(root.MarkerValidation, root.MarkerNearest);
+})(typeof self !== 'undefined' ? self : this, function (MarkerValidation, MarkerNearest) {
+  const TEMPLATES = {
+    add: { file: 'add-marker.yml', title: '[Add Marker]: ' },
+    update: { file: 'update-marker.yml', title: '[Update Marker]: ' },
+    delete: { file: 'delete-marker.yml', title: '[Delete Marker]: ' },
+  };
+
+  // Same radius as the workflow's duplicate check (MARKER_DUPLICATE_RADIUS_METERS).
+  const DUPLICATE_RADIUS_METERS = 100;
+
+  const FIELD_LABELS = {
+    'properties.id': 'Marker ID',
+    'properties.title': 'Title',
+    'properties.description': 'Description',
+    'properties.link': 'Link',
+    'properties.category': 'Category',
+    'properties.services': 'Services',
+    geometry: 'Location',
+  };
+
+  // The repository that receives the issues: the configured "owner/repo" (or
+  // URL), else derived from a Pages address such as owner.github.io/repo/.
+  function repositoryUrl(configured, location) {
+    const value = (configured || '').trim().replace(/\/+$/, '');
+    if (value) return /^https?:\/\//.test(value) ? value : `https://github.com/${value.replace(/^\/+/, '')}`;
+
+    const owner = /^([a-z0-9-]+)\.github\.io$/i.exec(location?.hostname || '')?.[1];
+    if (!owner) return null;
+    const first = (location.pathname || '').split('/').filter(Boolean)[0];
+    const repo = first && !first.includes('.') ? first : `${owner}.github.io`;
+    return `https://github.com/${owner}/${repo}`;
+  }
+
+  // Issue forms prefill a field from the query parameter named after its id.
+  function issueUrl(repository, kind, fields, subject = '') {
+    const template = TEMPLATES[kind];
+    const params = new URLSearchParams({ template: template.file, title: `${template.title}${subject}` });
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined && value !== null && value !== '') params.set(key, String(value));
+    }
+    return `${repository}/issues/new?${params}`;
+  }
+
+  function roundCoordinate(value) {
+    return Math.round(value * 1e6) / 1e6;
+  }
+
+  function servicesObject(keys, enabled) {
+    return Object.fromEntries(keys.map((key) => [key, enabled.includes(key)]));
+  }
+
+  function sameServices(current, keys, enabled) {
+    return keys.every((key) => (current?.[key] === true) === enabled.includes(key));
+  }
+
+  // Builds the feature the workflow would write and the issue form fields
+  // that ask for it. `values` is { id, title, description, link, category,
+  // services: [keys], lat, lng } as typed; `current` is the marker being
+  // updated, if any. Update fields hold only what differs from `current`.
+  function buildProposal(kind, values, { current = null, serviceKeys = [], now = new Date().toISOString() } = {}) {
+    const text = (value) => (value || '').trim();
+    const hasPoint = values.lat !== undefined && values.lng !== undefined;
+    const point = hasPoint ? { type: 'Point', coordinates: [roundCoordinate(values.lng), roundCoordinate(values.lat)] } : null;
+
+    if (kind === 'add') {
+      const properties = {
+        id: text(values.id) || `m-${now.slice(0, 10).replace(/-/g, '')}-new`,
+        title: text(values.title),
+        description: text(values.description) || undefined,
+        link: text(values.link) || undefined,
+        category: text(values.category) || undefined,
+        services: values.services?.length ? servicesObject(serviceKeys, values.services) : undefined,
+        updated_at: now,
+      };
+      Object.keys(properties).forEach((key) => properties[key] === undefined && delete properties[key]);
+
+      const fields = {
+        id: text(values.id),
+        marker_title: properties.title,
+        description: properties.description,
+        link: properties.link,
+        category: properties.category,
+        services: values.services?.join(', '),
+        lat: point?.coordinates[1],
+        lng: point?.coordinates[0],
+      };
+      return { feature: { type: 'Feature', properties, geometry: point }, fields, subject: properties.title };
+    }
+
+    const props = current?.properties || {};
+    const properties = { ...props, updated_at: now };
+    const fields = { id: props.id, expected_updated_at: props.updated_at };
+    for (const [key, field] of [
+      ['title', 'marker_title'],
+      ['description', 'description'],
+      ['link', 'link'],
+      ['category', 'category'],
+    ]) {
+      const value = text(values[key]);
+      // The update form keeps fields that are left blank, so blank is "no change".
+      if (value && value !== (props[key] ?? '')) {
+        properties[key] = value;
+        fields[field] = value;
+      }
+    }
+    if (values.services && !sameServices(props.services, serviceKeys, values.services)) {
+      properties.services = { ...props.services, ...servicesObject(serviceKeys, values.services) };
+      fields.services = values.services.length ? values.services.join(', ') : 'none';
+    }
+
+    let geometry = current?.geometry ?? null;
+    const moved = point?.coordinates.some((value, index) => value !== roundCoordinate(geometry?.coordinates?.[index]));
+    if (moved && geometry?.type === 'Point') {
+      geometry = point;
+      fields.lat = point.coordinates[1];
+      fields.lng = point.coordinates[0];
+    }
+
+    const changed = Object.keys(fields).some((key) => key !== 'id' && key !== 'expected_updated_at');
+    return { feature: { type: 'Feature', properties, geometry }, fields, subject: props.title || props.id, changed };
+  }
+
+  // Errors and warnings for a proposed feature, checked against the rest of
+  // the dataset with the workflow's rules (docs/validate.js), plus the Add
+  // duplicate check by distance. Entries are { severity, label, message }.
+  function checkProposal(feature, features, schema, { current = null, duplicateRadius = DUPLICATE_RADIUS_METERS } = {}) {
+    const issues = [];
+    const coords = feature.geometry?.coordinates;
+    if (feature.geometry?.type === 'Point' && !(Array.isArray(coords) && coords.every(Number.isFinite))) {
+      issues.push({ severity: 'error', label: 'Location', message: 'latitude and longitude must be numbers.' });
+      return issues;
+    }
+    if (!feature.geometry) {
+      issues.push({ severity: 'error', label: 'Location', message: 'is required. Click the map or enter latitude and longitude.' });
+      return issues;
+    }
+
+    const others = features.filter((other) => other !== current);
+    const entries = MarkerValidation.checkCollection({ type: 'FeatureCollection', features: [...others, feature] }, schema || {});
+    for (const entry of entries.filter((item) => item.feature === others.length)) {
+      issues.push({
+        severity: entry.severity,
+        label: FIELD_LABELS[entry.field] || entry.field || 'Marker',
+        message: entry.rule === 'unique' ? 'is already used by another marker.' : entry.message,
+      });
+    }
+
+    if (!current && feature.geometry.type === 'Point') {
+      const [nearest] = MarkerNearest.rankNearest(feature.geometry.coordinates, others, { limit: 1 });
+      if (nearest && nearest.distance <= duplicateRadius) {
+        const props = nearest.feature.properties || {};
+        issues.push({
+          severity: 'warning',
+          label: 'Location',
+          message: `is ${Math.round(nearest.distance)} m from "${props.title || props.id}" (${props.id}). If this is a different site, tick "Distinct site" on the issue form.`,
+        });
+      }
+    }
+    return issues;
+  }
+
+  return {
+    DUPLICATE_RADIUS_METERS,
+    TEMPLATES,
+    buildProposal,
+    checkProposal,
+    issueUrl,
+    repositoryUrl,
+  };
+});
@@ -0,0 +1,217 @@
+// Marker search: diacritic-insensitive, typo-tolerant matching over marker
+// properties with optional field qualifiers (country:japan service:zta).
+// Loaded after stats.js and before app.js, and exposed as window.MarkerSearch.
+(function () {
+  const { SERVICE_LABELS } = window.MarkerStats;
+
+  // Qualifier -> searchable fields. Unqualified terms search every field, with
+  // the weight deciding how much a hit counts towards ranking.
+  const FIELDS = {
+    title: { weight: 3, read: (p) => [p.title] },
+    location: { weight: 2, read: (p) => [p.Location] },
+    country: { weight: 2, read: (p) => [p.country] },
+    category: { weight: 2, read: (p) => [p.category] },
+    service: { weight: 1.5, read: (p) => enabledServices(p.services) },
+    fabric: { weight: 1, read: (p) => [p.services && p.services.peering_fabric] },
+    type: { weight: 1, read: (p) => [p.dc_type] },
+    description: { weight: 1, read: (p) => [p.description] },
+    id: { weight: 1, read: (p) => [p.id] },
+  };
+
+  const QUALIFIER_ALIASES = {
+    region: 'category',
+    services: 'service',
+    peering: 'fabric',
+    dc_type: 'type',
+    name: 'title',
+    city: 'location',
+  };
+
+  function enabledServices(services) {
+    if (!services || typeof services !== 'object') return [];
+    // "SWG & DLP" is searched as "SWG DLP" so the phrase "swg dlp" finds it.
+    return Object.keys(SERVICE_LABELS)
+      .filter((key) => services[key] === true)
+      .map((key) => SERVICE_LABELS[key].replace(/\s*&\s*/g, ' '));
+  }
+
+  function foldChar(char) {
+    return char.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  function fold(text) {
+    return Array.from((text || '').toString(), foldChar).join('');
+  }
+
+  function levenshtein(a, b) {
+    if (a === b) return 0;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i += 1) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j += 1) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  function isSubsequence(term, word) {
+    let index = 0;
+    for (const char of word) {
+      if (char === term[index]) index += 1;
+      if (index === term.length) return true;
+    }
+    return false;
+  }
+
+  function allowedTypos(term) {
+    if (term.length >= 8) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+  }
+
+  // Scores one folded term against one folded word:
+  // 1 for a prefix, 0.8 for an inner substring, 0.6 for a near miss and 0.4
+  // for an abbreviation that keeps the letters in order ("jnb" -> johannesburg).
+  function matchWord(term, word) {
+    if (!word) return 0;
+    if (word.startsWith(term)) return 1;
+    if (word.includes(term)) return 0.8;
+
+    const typos = allowedTypos(term);
+    if (typos) {
+      const distance = Math.min(levenshtein(term, word), levenshtein(term, word.slice(0, term.length)));
+      if (distance <= typos) return 0.6;
+    }
+
+    if (term.length >= 2 && term.length <= 5 && term[0] === word[0] && isSubsequence(term, word)) return 0.4;
+    return 0;
+  }
+
+  function words(folded) {
+    return folded.split(/[^a-z0-9]+/).filter(Boolean);
+  }
+
+  function matchText(term, text) {
+    const folded = fold(text);
+    if (!folded) return 0;
+    if (folded.includes(term.value)) return term.value.includes(' ') || folded.startsWith(term.value) ? 1 : 0.9;
+    if (term.value.includes(' ')) return 0;
+
+    let best = 0;
+    for (const word of words(folded)) {
+      best = Math.max(best, matchWord(term.value, word));
+    }
+
+    // Initials of a multi-word value: "ny" -> New York.
+    const initials = words(folded).map((word) => word[0]).join('');
+    if (best < 0.5 && term.value.length >= 2 && initials.length > 1 && initials.startsWith(term.value)) best = 0.5;
+    return best;
+  }
+
+  function parseQuery(input) {
+    const terms = [];
+    const pattern = /(?:([a-z_]+):)?(?:"([^"]*)"|(\S+))/gi;
+    let match;
+    while ((match = pattern.exec(input || '')) !== null) {
+      const qualifier = (match[1] || '').toLowerCase();
+      const field = QUALIFIER_ALIASES[qualifier] || qualifier;
+      const raw = match[2] !== undefined ? match[2] : match[3];
+      const value = fold(raw).trim();
+
+      if (qualifier && !FIELDS[field]) {
+        const text = fold(match[0]).replace(/"/g, '').trim();
+        if (text) terms.push({ field: null, value: text });
+      } else if (value) {
+        terms.push({ field: field || null, value });
+      }
+    }
+    return terms;
+  }
+
+  // Returns 0 when any term fails to match, otherwise a relevance score.
+  function scoreFeature(props, terms) {
+    let total = 0;
+    for (const term of terms) {
+      const fields = term.field ? [term.field] : Object.keys(FIELDS);
+      let best = 0;
+      for (const name of fields) {
+        const field = FIELDS[name];
+        for (const text of field.read(props || {})) {
+          best = Math.max(best, matchText(term, text) * field.weight);
+        }
+      }
+      if (!best) return 0;
+      total += best;
+    }
+    return total;
+  }
+
+  function escapeHtml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Escapes text and wraps the parts that matched a term in <mark>. Substring
+  // hits mark the matching characters; fuzzy hits mark the whole word.
+  function highlight(text, terms, field) {
+    const original = (text || '').toString().trim();
+    const chars = Array.from(original);
+    const folded = chars.map(foldChar);
+    const flat = folded.join('');
+    const marked = new Array(chars.length).fill(false);
+
+    // Map positions in the folded string back to original characters.
+    const owner = [];
+    folded.forEach((piece, index) => {
+      for (let i = 0; i < piece.length; i += 1) owner.push(index);
+    });
+
+    const markRange = (start, end) => {
+      for (let i = start; i < end; i += 1) marked[owner[i]] = true;
+    };
+
+    for (const term of terms) {
+      if (term.field && field && term.field !== field) continue;
+      let from = flat.indexOf(term.value);
+      if (from !== -1) {
+        while (from !== -1) {
+          markRange(from, from + term.value.length);
+          from = flat.indexOf(term.value, from + term.value.length);
+        }
+        continue;
+      }
+      if (term.value.includes(' ')) continue;
+
+      const wordPattern = /[a-z0-9]+/g;
+      let word;
+      while ((word = wordPattern.exec(flat)) !== null) {
+        if (matchWord(term.value, word[0])) markRange(word.index, word.index + word[0].length);
+      }
+    }
+
+    let html = '';
+    let open = false;
+    chars.forEach((char, index) => {
+      if (marked[index] && !open) html += '<mark>';
+      if (!marked[index] && open) html += '</mark>';
+      open = marked[index];
+      html += escapeHtml(char);
+    });
+    if (open) html += '</mark>';
+    return html;
+  }
+
+  window.MarkerSearch = {
+    fold,
+    highlight,
+    parseQuery,
+    scoreFeature,
+  };
+})();
@@ -0,0 +1,144 @@
+// Dataset statistics shared by the dashboard (docs/stats.html), where it is
+// exposed as window.MarkerStats, and by tools/stats.js, so both report the
+// same numbers.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MarkerStats = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  // The one list of service names: the map, search, site builder and change
+  // feed all read it from here.
+  const SERVICE_LABELS = {
+    dns: 'DNS',
+    swg_dlp: 'SWG & DLP',
+    firewall: 'Firewall',
+    zta: 'ZTA',
+    vpn: 'VPN',
+    meraki_auto_vpn: 'Meraki Auto VPN',
+  };
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  // Age buckets for the freshness histogram, by days since updated_at.
+  const FRESHNESS_BUCKETS = [
+    { label: '< 1 week', maxDays: 7 },
+    { label: '1–4 weeks', maxDays: 30 },
+    { label: '1–3 months', maxDays: 90 },
+    { label: '3–6 months', maxDays: 180 },
+    { label: '6–12 months', maxDays: 365 },
+    { label: '> 1 year', maxDays: Infinity },
+  ];
+
+  function text(value) {
+    return (value || '').toString().trim();
+  }
+
+  function emptyServices() {
+    return Object.fromEntries(Object.keys(SERVICE_LABELS).map((key) => [key, 0]));
+  }
+
+  // Groups features by a key and counts sites and enabled services per group.
+  // Sorted by site count, then name.
+  function tally(features, keyOf) {
+    const groups = new Map();
+    for (const feature of features) {
+      const name = keyOf(feature.properties || {});
+      if (!name) continue;
+      if (!groups.has(name)) groups.set(name, { name, count: 0, with_services: 0, services: emptyServices() });
+      const group = groups.get(name);
+      group.count += 1;
+
+      const services = feature.properties?.services;
+      if (!services || typeof services !== 'object') continue;
+      group.with_services += 1;
+      for (const key of Object.keys(SERVICE_LABELS)) {
+        if (services[key] === true) group.services[key] += 1;
+      }
+    }
+    return Array.from(groups.values()).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+
+  // Groups that have service data but no site offering the service, per service.
+  function gaps(groups) {
+    return Object.fromEntries(
+      Object.keys(SERVICE_LABELS).map((key) => [
+        key,
+        groups.filter((group) => group.with_services && !group.services[key]).map((group) => group.name),
+      ])
+    );
+  }
+
+  function freshness(features, now) {
+    const buckets = FRESHNESS_BUCKETS.map(({ label }) => ({ label, count: 0 }));
+    const ages = [];
+    let unknown = 0;
+    let newest = null;
+    let oldest = null;
+
+    for (const feature of features) {
+      const stamp = feature.properties?.updated_at;
+      const time = Date.parse(stamp);
+      if (!stamp || Number.isNaN(time)) {
+        unknown += 1;
+        continue;
+      }
+      const days = Math.max(0, (now - time) / DAY_MS);
+      ages.push(days);
+      buckets[FRESHNESS_BUCKETS.findIndex((bucket) => days < bucket.maxDays)].count += 1;
+      if (!newest || time > Date.parse(newest)) newest = new Date(time).toISOString();
+      if (!oldest || time < Date.parse(oldest)) oldest = new Date(time).toISOString();
+    }
+
+    ages.sort((a, b) => a - b);
+    const middle = Math.floor(ages.length / 2);
+    const median = ages.length ? (ages.length % 2 ? ages[middle] : (ages[middle - 1] + ages[middle]) / 2) : null;
+    return {
+      buckets,
+      unknown,
+      newest,
+      oldest,
+      median_age_days: median === null ? null : Math.round(median * 10) / 10,
+    };
+  }
+
+  // Counts for a marker FeatureCollection's features. Removed imports are
+  // left out, as on the map. Regions are properties.category, which holds
+  // the region for EDCS sites and the issue-form category for other markers.
+  function computeStats(features, { now = new Date() } = {}) {
+    const time = now instanceof Date ? now.getTime() : Date.parse(now);
+    const live = (features || []).filter((feature) => feature?.properties?.import_status !== 'removed');
+    const regions = tally(live, (props) => text(props.category) || 'Uncategorized');
+    const countries = tally(live, (props) => text(props.country));
+    for (const country of countries) {
+      const regionCounts = tally(
+        live.filter((feature) => text(feature.properties?.country) === country.name),
+        (props) => text(props.category) || 'Uncategorized'
+      );
+      country.region = regionCounts[0]?.name ?? null;
+    }
+
+    const all = tally(live, () => 'all')[0] || { count: 0, with_services: 0, services: emptyServices() };
+    return {
+      generated_at: new Date(time).toISOString(),
+      total: live.length,
+      with_services: all.with_services,
+      without_country: live.filter((feature) => !text(feature.properties?.country)).length,
+      services: Object.entries(SERVICE_LABELS).map(([key, label]) => ({
+        key,
+        label,
+        count: all.services[key],
+        share: all.with_services ? Math.round((all.services[key] / all.with_services) * 1000) / 10 : null,
+      })),
+      regions,
+      countries,
+      dc_types: tally(live, (props) => text(props.dc_type)).map(({ name, count }) => ({ name, count })),
+      gaps: { regions: gaps(regions), countries: gaps(countries) },
+      freshness: freshness(live, time),
+    };
+  }
+
+  return {
+    FRESHNESS_BUCKETS,
+    SERVICE_LABELS,
+    computeStats,
+  };
+});
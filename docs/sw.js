@@ -0,0 +1,168 @@
+// Service worker that keeps the map usable on a flaky or missing connection.
+// Registered by docs/offline.js.
+//
+// - The app shell (pages, scripts, styles, Leaflet) is served from the cache
+//   and refreshed in the background, so a deploy shows up on the next load.
+//   Only SHELL_FILES and library files are kept, without their query string,
+//   so the cache doesn't grow; other pages go straight to the network.
+// - Files under data/ go to the network first. If it fails or is slower than
+//   DATA_TIMEOUT_MS the last copy is served, marked with X-Marker-Cached-At
+//   so the page can say how old it is.
+// - Images from this site or fetched with CORS, such as a local tiles/
+//   directory, are served from the cache once loaded, up to MAX_TILES. Tiles
+//   from other servers without CORS are left to the browser's HTTP cache.
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `markers-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `markers-data-${CACHE_VERSION}`;
+const TILE_CACHE = `markers-tiles-${CACHE_VERSION}`;
+const CACHED_AT_HEADER = 'X-Marker-Cached-At';
+const DATA_TIMEOUT_MS = 5000;
+const MAX_TILES = 1000;
+
+const SHELL_FILES = [
+  './',
+  './index.html',
+  './stats.html',
+  './styles.css',
+  './search.js',
+  './formats.js',
+  './nearest.js',
+  './validate.js',
+  './proposal.js',
+  './offline.js',
+  './stats.js',
+  './app.js',
+  './dashboard.js',
+  './marker_page.js',
+];
+const DATA_FILES = [
+  './data/markers.geojson',
+  './data/history.jsonl',
+  './data/marker_schema.json',
+  './data/tile_config.json',
+  './data/countries.geojson',
+];
+// Cached when first used; a CDN outage during install must not block it.
+const LIBRARY_HOSTS = ['unpkg.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    (async () => {
+      await (await caches.open(SHELL_CACHE)).addAll(SHELL_FILES);
+      const data = await caches.open(DATA_CACHE);
+      await Promise.all(
+        DATA_FILES.map(async (url) => {
+          try {
+            const response = await fetch(url, { cache: 'no-store' });
+            if (response.ok) await data.put(url, stamped(response));
+          } catch (error) {
+            // Fetched again, and cached, the first time a page asks for it.
+          }
+        })
+      );
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, DATA_CACHE, TILE_CACHE];
+  event.waitUntil(
+    (async () => {
+      for (const name of await caches.keys()) {
+        if (name.startsWith('markers-') && !current.includes(name)) await caches.delete(name);
+      }
+      await self.clients.claim();
+    })()
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  const scope = new URL(self.registration.scope);
+  const local = url.origin === scope.origin && url.pathname.startsWith(scope.pathname);
+  const shell = local && SHELL_FILES.some((file) => new URL(file, scope).pathname === url.pathname);
+
+  if (local && url.pathname.startsWith(`${scope.pathname}data/`)) {
+    event.respondWith(networkFirst(request));
+  } else if (request.destination === 'image' && (local || request.mode === 'cors')) {
+    event.respondWith(cachedTile(event));
+  } else if (shell) {
+    event.respondWith(staleWhileRevalidate(event, request));
+  } else if (LIBRARY_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, request));
+  }
+});
+
+// A copy of a response carrying the time it was cached.
+function stamped(response) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, new Date().toISOString());
+  return new Response(response.body, { status: response.status, statusText: response.statusText, headers });
+}
+
+// What a request gets when the network fails and nothing is cached.
+function offline() {
+  return new Response('Offline, and no copy of this file is cached.', {
+    status: 503,
+    statusText: 'Service Unavailable',
+    headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+  });
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(DATA_CACHE);
+  const network = fetch(request).then(async (response) => {
+    if (response.ok) await cache.put(request, stamped(response.clone()));
+    return response;
+  });
+  // The request keeps going after the timeout wins; a late failure is expected.
+  network.catch(() => {});
+
+  const timeout = new Promise((resolve) => setTimeout(resolve, DATA_TIMEOUT_MS));
+  try {
+    const response = await Promise.race([network, timeout]);
+    if (response) return response;
+  } catch (error) {
+    // Offline or the request failed; fall back to the cached copy below.
+  }
+
+  const cached = await cache.match(request, { ignoreSearch: true });
+  return cached || network.catch(offline);
+}
+
+async function staleWhileRevalidate(event, request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const key = new URL(request.url);
+  key.search = '';
+  const cached = await cache.match(key.href);
+  const network = fetch(request).then(async (response) => {
+    if (response.ok && response.type !== 'opaque') await cache.put(key.href, response.clone());
+    return response;
+  });
+
+  if (!cached) return network.catch(offline);
+  event.waitUntil(network.catch(() => {}));
+  return cached;
+}
+
+async function cachedTile(event) {
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(event.request);
+  if (cached) return cached;
+
+  const response = await fetch(event.request);
+  if (response.ok && response.type !== 'opaque') {
+    event.waitUntil(
+      (async () => {
+        await cache.put(event.request, response.clone());
+        const keys = await cache.keys();
+        // Oldest first: drop the tiles cached longest ago.
+        for (const key of keys.slice(0, Math.max(0, keys.length - MAX_TILES))) await cache.delete(key);
+      })()
+    );
+  }
+  return response;
+}
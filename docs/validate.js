@@ -0,0 +1,214 @@
+// Marker validation shared by the map, where it is exposed as
+// window.MarkerValidation and checks proposals before an issue is opened, and
+// by tools/validate_geojson.js, which adds the checks that need the gazetteer.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MarkerValidation = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const GEOMETRY_TYPES = ['Point', 'LineString', 'Polygon', 'MultiPolygon'];
+
+  function isValidUrl(value) {
+    try {
+      const url = new URL(value);
+      return ['http:', 'https:'].includes(url.protocol);
+    } catch {
+      return false;
+    }
+  }
+
+  const FORMATS = {
+    uri: { test: isValidUrl, message: 'must be a valid http/https URL.' },
+    'date-time': {
+      test: (value) => /^\d{4}-\d{2}-\d{2}T/.test(value) && !Number.isNaN(Date.parse(value)),
+      message: 'must be an ISO datetime string.',
+    },
+  };
+
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+  }
+
+  // Checks a value against the subset of JSON Schema used by marker_schema.json:
+  // type, enum, const, min/maxLength, pattern, format, minimum/maximum,
+  // required, properties, additionalProperties, anyOf and not. Two extension
+  // keywords: "x-severity" downgrades violations in a subschema to warnings and
+  // "x-message" replaces the generated message.
+  function checkSchema(value, schema, field, report, severity = 'error') {
+    const level = schema['x-severity'] || severity;
+    const issue = (rule, message) => report({ severity: level, field, rule, message: schema['x-message'] || message });
+    const passes = (subschema) => {
+      let clean = true;
+      checkSchema(value, subschema, field, () => (clean = false));
+      return clean;
+    };
+
+    if (schema.not && passes(schema.not)) {
+      issue('not', 'is not allowed.');
+      return;
+    }
+
+    if (schema.anyOf && !schema.anyOf.some(passes)) {
+      issue('anyOf', 'does not match any allowed form.');
+      return;
+    }
+
+    if (schema.type) {
+      const types = [].concat(schema.type);
+      if (!types.some((type) => matchesType(value, type))) {
+        issue('type', `must be ${types.join(' or ')}.`);
+        return;
+      }
+    }
+
+    if ('const' in schema && value !== schema.const) issue('const', `must be ${JSON.stringify(schema.const)}.`);
+    if (schema.enum && !schema.enum.includes(value)) {
+      const options = schema.enum.map((option) => JSON.stringify(option)).join(', ');
+      issue('enum', `is ${JSON.stringify(value)}; must be one of: ${options}.`);
+    }
+
+    if (typeof value === 'string') {
+      const length = Array.from(value).length;
+      if (schema.minLength !== undefined && length < schema.minLength) {
+        issue('minLength', schema.minLength === 1 ? 'must not be empty.' : `must be at least ${schema.minLength} characters.`);
+      }
+      if (schema.maxLength !== undefined && length > schema.maxLength) {
+        issue('maxLength', `must be at most ${schema.maxLength} characters (is ${length}).`);
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) issue('pattern', `must match ${schema.pattern}.`);
+      const format = FORMATS[schema.format];
+      if (format && !format.test(value)) issue('format', format.message);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) issue('minimum', `must be >= ${schema.minimum}.`);
+      if (schema.maximum !== undefined && value > schema.maximum) issue('maximum', `must be <= ${schema.maximum}.`);
+    }
+
+    if (typeOf(value) === 'object') {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined || value[key] === null) {
+          report({ severity: level, field: `${field}.${key}`, rule: 'required', message: 'is required.' });
+        }
+      }
+      for (const [key, child] of Object.entries(value)) {
+        if (child === undefined) continue;
+        const childSchema = schema.properties?.[key] ?? schema.additionalProperties;
+        if (childSchema && typeof childSchema === 'object') checkSchema(child, childSchema, `${field}.${key}`, report, level);
+      }
+    }
+  }
+
+  function positionErrors(position, path) {
+    if (!Array.isArray(position) || position.length < 2 || position.length > 3) {
+      return [`${path} must be a [lng, lat] position.`];
+    }
+    const [lng, lat] = position;
+    const errors = [];
+    if (typeof lat !== 'number' || lat < -90 || lat > 90) errors.push(`${path} latitude must be a number in [-90, 90].`);
+    if (typeof lng !== 'number' || lng < -180 || lng > 180) errors.push(`${path} longitude must be a number in [-180, 180].`);
+    return errors;
+  }
+
+  function lineErrors(line, path, minimum) {
+    if (!Array.isArray(line) || line.length < minimum) return [`${path} must have at least ${minimum} positions.`];
+    return line.flatMap((position, index) => positionErrors(position, `${path}[${index}]`));
+  }
+
+  function polygonErrors(rings, path) {
+    if (!Array.isArray(rings) || !rings.length) return [`${path} must be an array of linear rings.`];
+    return rings.flatMap((ring, index) => {
+      const errors = lineErrors(ring, `${path}[${index}]`, 4);
+      if (!errors.length && JSON.stringify(ring[0]) !== JSON.stringify(ring[ring.length - 1])) {
+        errors.push(`${path}[${index}] must be closed (first and last positions equal).`);
+      }
+      return errors;
+    });
+  }
+
+  // Returns messages for everything wrong with a geometry; empty when valid.
+  function geometryErrors(geometry) {
+    if (!geometry || !GEOMETRY_TYPES.includes(geometry.type)) {
+      return [`must be one of ${GEOMETRY_TYPES.join(', ')}.`];
+    }
+
+    const coords = geometry.coordinates;
+    if (geometry.type === 'Point') {
+      if (!Array.isArray(coords) || coords.length !== 2) return ['must be Point with [lng, lat] coordinates.'];
+      return positionErrors(coords, 'coordinates').map((error) => error.replace(/^coordinates /, ''));
+    }
+    if (geometry.type === 'LineString') return lineErrors(coords, 'coordinates', 2);
+    if (geometry.type === 'Polygon') return polygonErrors(coords, 'coordinates');
+    if (!Array.isArray(coords) || !coords.length) return ['coordinates must be an array of polygons.'];
+    return coords.flatMap((polygon, index) => polygonErrors(polygon, `coordinates[${index}]`));
+  }
+
+  // The checks that decide whether a FeatureCollection may be written: root
+  // shape, feature type, properties against the schema, unique IDs and
+  // geometry. Returns entries { severity, feature, id, field, rule, message };
+  // schema subschemas marked "x-severity": "warning" give warnings.
+  function checkCollection(data, schema) {
+    const entries = [];
+
+    if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+      entries.push({
+        severity: 'error',
+        feature: null,
+        id: null,
+        field: null,
+        rule: 'root',
+        message: 'Root object must be a GeoJSON FeatureCollection with a features array.',
+      });
+      return entries;
+    }
+
+    const ids = new Map();
+
+    data.features.forEach((feature, index) => {
+      const props = feature?.properties || {};
+      const id = typeof props.id === 'string' ? props.id : null;
+      const report = ({ severity, field, rule, message }) => entries.push({ severity, feature: index, id, field, rule, message });
+
+      if (!feature || feature.type !== 'Feature') {
+        report({ severity: 'error', field: null, rule: 'type', message: 'must be type "Feature".' });
+        return;
+      }
+
+      checkSchema(feature.properties, schema, 'properties', report);
+
+      if (id !== null) {
+        if (ids.has(id)) {
+          report({ severity: 'error', field: 'properties.id', rule: 'unique', message: `duplicates feature[${ids.get(id)}].` });
+        } else {
+          ids.set(id, index);
+        }
+      }
+
+      for (const message of geometryErrors(feature.geometry)) {
+        report({ severity: 'error', field: 'geometry', rule: 'geometry', message });
+      }
+    });
+
+    return entries;
+  }
+
+  function formatIssue(entry) {
+    const where = entry.feature === null ? '' : `feature[${entry.feature}]${entry.id ? ` (${entry.id})` : ''}: `;
+    return `${where}${entry.field ? `${entry.field} ` : ''}${entry.message}`;
+  }
+
+  return {
+    GEOMETRY_TYPES,
+    checkCollection,
+    checkSchema,
+    formatIssue,
+    geometryErrors,
+  };
+});
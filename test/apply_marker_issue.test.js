@@ -0,0 +1,300 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const { applyIssue, applyMutation, labelsAddedBy, processIssue } = require('../tools/apply_marker_issue');
+const { loadPolicy } = require('../tools/policy');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const NOW = '2026-03-01T12:00:00.000Z';
+const policy = loadPolicy(path.join(FIXTURES, 'policy.json'));
+
+function dataset() {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, 'markers.geojson'), 'utf8'));
+}
+
+function issue(name, labels, overrides = {}) {
+  return {
+    number: 42,
+    created_at: '2026-02-14T09:30:00Z',
+    body: fs.readFileSync(path.join(FIXTURES, 'issues', name), 'utf8'),
+    labels: labels.map((label) => ({ name: label })),
+    user: { login: 'octo' },
+    author_association: 'OWNER',
+    ...overrides,
+  };
+}
+
+function apply(name, labels, { geojson = dataset(), overrides, ...options } = {}) {
+  const result = applyMutation(issue(name, labels, overrides), geojson, { policy, now: NOW, ...options });
+  return { result, geojson };
+}
+
+const find = (geojson, id) => geojson.features.find((feature) => feature.properties.id === id);
+
+test('Add Marker creates a point with an ID from the issue date', () => {
+  const { result, geojson } = apply('add.md', ['marker-add']);
+  assert.equal(result.ok, true, result.message);
+  assert.equal(result.message, 'Added marker "m-20260214-42".');
+  assert.deepEqual(find(geojson, 'm-20260214-42'), {
+    type: 'Feature',
+    properties: {
+      id: 'm-20260214-42',
+      title: 'Riverside Clinic',
+      description: 'Walk-in clinic by the river.',
+      link: 'https://example.org/clinic',
+      category: 'health',
+      services: { dns: true, swg_dlp: true, firewall: false, zta: false, vpn: false, meraki_auto_vpn: false },
+      updated_at: NOW,
+    },
+    geometry: { type: 'Point', coordinates: [-0.09, 51.5] },
+  });
+  assert.deepEqual(
+    geojson.features.map((feature) => feature.properties.id),
+    ['cape-town', 'central-library', 'm-20260214-42', 'zone-eu']
+  );
+});
+
+test('Add Marker leaves out "_No response_" fields and the "(none)" category', () => {
+  const { result, geojson } = apply('add-minimal.md', ['marker-add']);
+  assert.equal(result.ok, true, result.message);
+  assert.deepEqual(find(geojson, 'm-20260214-42').properties, {
+    id: 'm-20260214-42',
+    title: 'Harbour Depot',
+    updated_at: NOW,
+  });
+});
+
+test('Add Marker takes a WKT geometry instead of latitude and longitude', () => {
+  const { result, geojson } = apply('add-geometry.md', ['marker-add']);
+  assert.equal(result.ok, true, result.message);
+  assert.deepEqual(find(geojson, 'zone-af').geometry, {
+    type: 'Polygon',
+    coordinates: [
+      [
+        [10, -35],
+        [35, -35],
+        [35, -20],
+        [10, -20],
+        [10, -35],
+      ],
+    ],
+  });
+});
+
+test('Add Marker requires a title', () => {
+  const { result, geojson } = apply('add-missing-title.md', ['marker-add']);
+  assert.deepEqual(result, { ok: false, message: 'Title is required for Add Marker issues.' });
+  assert.deepEqual(geojson, dataset());
+});
+
+test('Add Marker rejects a marker next to an existing one unless "Distinct site" is ticked', () => {
+  const rejected = apply('add-near-duplicate.md', ['marker-add']);
+  assert.equal(rejected.result.ok, false);
+  assert.match(rejected.result.message, /^Possible duplicate of "central-library"/);
+  assert.match(rejected.result.details, /\| central-library \| Central Library \|/);
+
+  const accepted = apply('add-distinct-site.md', ['marker-add']);
+  assert.equal(accepted.result.ok, true, accepted.result.message);
+  assert.ok(find(accepted.geojson, 'library-annex'));
+});
+
+test('Update Marker changes only the fields given and keeps "(no change)" ones', () => {
+  const { result, geojson } = apply('update.md', ['marker-update']);
+  assert.equal(result.ok, true, result.message);
+  const props = find(geojson, 'cape-town').properties;
+  assert.equal(props.title, 'Cape Town (Multi-AZ)');
+  assert.equal(props.category, 'Africa');
+  assert.equal(props.updated_at, NOW);
+  // "none" turns every service off but keeps the peering fabric.
+  assert.deepEqual(props.services, {
+    dns: false,
+    swg_dlp: false,
+    firewall: false,
+    zta: false,
+    vpn: false,
+    meraki_auto_vpn: false,
+    peering_fabric: 'NAPAfrica',
+  });
+});
+
+test('Update Marker moves one coordinate and honours the focus checkbox', () => {
+  const { result, geojson } = apply('update-focus.md', ['marker-update']);
+  assert.equal(result.ok, true, result.message);
+  const feature = find(geojson, 'central-library');
+  assert.deepEqual(feature.geometry.coordinates, [-0.1276, 51.51]);
+  assert.equal(feature.properties.focus_on_load, true);
+  assert.equal(feature.properties.title, 'Central Library');
+});
+
+test('Update Marker refuses to overwrite a marker changed since "Expected updated_at"', () => {
+  const { result, geojson } = apply('update-stale.md', ['marker-update']);
+  assert.equal(result.ok, false);
+  assert.match(result.message, /^Marker "central-library" has changed since 2025-12-01T00:00:00Z/);
+  assert.deepEqual(geojson, dataset());
+});
+
+test('Delete Marker needs its confirmation checkbox', () => {
+  const unconfirmed = apply('delete-unconfirmed.md', ['marker-delete', 'marker-approved']);
+  assert.deepEqual(unconfirmed.result, { ok: false, message: 'Delete confirmation checkbox must be checked.' });
+
+  const { result, geojson } = apply('delete.md', ['marker-delete', 'marker-approved']);
+  assert.equal(result.ok, true, result.message);
+  assert.equal(find(geojson, 'central-library'), undefined);
+});
+
+test('Delete Marker waits for the approval label and strangers may not update', () => {
+  const { result } = apply('delete.md', ['marker-delete']);
+  assert.equal(result.pending, true);
+  assert.match(result.message, /marker-approved/);
+
+  const stranger = apply('update.md', ['marker-update'], { overrides: { author_association: 'NONE' } });
+  assert.equal(stranger.result.pending, true);
+  assert.deepEqual(stranger.geojson, dataset());
+});
+
+test('Bulk Markers applies every row or none', () => {
+  const { result, geojson } = apply('bulk.md', ['marker-bulk', 'marker-approved']);
+  assert.equal(result.ok, true, result.message);
+  assert.equal(result.message, 'Applied 3 bulk operation(s): 1 added, 1 updated, 1 deleted.');
+  assert.equal(find(geojson, 'harbour').properties.services.vpn, true);
+  assert.equal(find(geojson, 'central-library').properties.title, 'Central Library (renamed)');
+  assert.equal(find(geojson, 'zone-eu'), undefined);
+
+  const bulk = issue('bulk.md', ['marker-bulk', 'marker-approved']);
+  const refused = applyMutation({ ...bulk, body: bulk.body.replace('- [x]', '- [ ]') }, dataset(), { policy, now: NOW });
+  assert.equal(refused.ok, false);
+  assert.match(refused.message, /^Bulk change rejected: 1 of 3 row\(s\) failed/);
+});
+
+test('Restore Marker brings back the version from before an issue', () => {
+  const older = dataset();
+  find(older, 'central-library').properties.title = 'Old Library';
+  const snapshots = {
+    beforeIssue: (number) => (number === '12' ? { sha: 'abc1234def', geojson: older } : null),
+    beforeTimestamp: () => null,
+    after: () => [],
+  };
+
+  const { result, geojson } = apply('restore.md', ['marker-restore'], { snapshots });
+  assert.equal(result.ok, true, result.message);
+  assert.equal(result.message, 'Restored marker "central-library" to its state before issue #12.');
+  assert.equal(find(geojson, 'central-library').properties.title, 'Old Library');
+  assert.equal(find(geojson, 'central-library').properties.updated_at, NOW);
+});
+
+test('restoring a deleted marker needs its old category owner', () => {
+  const older = dataset();
+  const current = dataset();
+  current.features = current.features.filter((feature) => feature.properties.id !== 'central-library');
+  const snapshots = {
+    beforeIssue: () => ({ sha: 'abc1234def', geojson: older }),
+    beforeTimestamp: () => null,
+    after: () => [],
+  };
+  const owned = { ...policy, category_owners: { education: { authors: ['librarian'] } } };
+
+  const { result, geojson } = apply('restore.md', ['marker-restore'], { geojson: current, snapshots, policy: owned });
+  assert.equal(result.pending, true);
+  assert.match(result.details, /category "education" is owned by @librarian/);
+  assert.equal(find(geojson, 'central-library'), undefined);
+
+  const byOwner = apply('restore.md', ['marker-restore'], {
+    geojson: current,
+    snapshots,
+    policy: owned,
+    overrides: { user: { login: 'librarian' } },
+  });
+  assert.equal(byOwner.result.ok, true, byOwner.result.message);
+  assert.equal(byOwner.result.message, 'Re-created deleted marker "central-library" from its state before issue #12.');
+});
+
+test('an issue without a marker label is rejected', () => {
+  const { result } = apply('add.md', ['question']);
+  assert.equal(result.ok, false);
+  assert.match(result.message, /^Issue is missing one of marker-add/);
+});
+
+test('the same issue and clock always give the same dataset', () => {
+  const first = apply('add.md', ['marker-add']).geojson;
+  const second = apply('add.md', ['marker-add']).geojson;
+  assert.deepEqual(first, second);
+});
+
+test('applyIssue skips issues already applied and amends edited ones', () => {
+  const added = applyIssue(issue('add.md', ['marker-add']), dataset(), { policy, now: NOW });
+  assert.equal(added.result.ok, true);
+  const ledger = { 42: added.record };
+  const { entries: history } = processIssue(issue('add.md', ['marker-add']), dataset(), { policy, now: NOW });
+
+  const relabeled = applyIssue(issue('add.md', ['marker-add', 'triaged']), added.geojson, { policy, ledger, history });
+  assert.equal(relabeled.result.unchanged, true);
+  assert.equal(relabeled.geojson, added.geojson);
+
+  const edited = issue('add.md', ['marker-add']);
+  edited.body = edited.body.replace('Riverside Clinic', 'Riverside Health Clinic');
+  const amended = applyIssue(edited, added.geojson, { policy, ledger, history, now: '2026-03-02T00:00:00.000Z' });
+  assert.match(amended.result.message, /^Re-applied edited issue #42\. Added marker "m-20260214-42"\./);
+  assert.equal(find(amended.geojson, 'm-20260214-42').properties.title, 'Riverside Health Clinic');
+  assert.equal(amended.record.applied_at, NOW);
+  assert.equal(amended.record.amended_at, '2026-03-02T00:00:00.000Z');
+});
+
+test('an approval covers the issue as it was when the label was added', () => {
+  const labels = ['marker-update', 'marker-approved'];
+  const stranger = { author_association: 'NONE' };
+  const approved = processIssue(issue('update.md', labels, stranger), dataset(), {
+    policy,
+    addedLabels: ['marker-approved'],
+    now: NOW,
+  });
+  assert.equal(approved.result.ok, true, approved.result.message);
+  assert.equal(approved.record.approved_hash, approved.record.request_hash);
+  const ledger = { 42: approved.record };
+
+  // The author retargets the approved update; the label is still on the issue.
+  const edited = issue('update.md', labels, stranger);
+  edited.body = edited.body.replace('cape-town', 'central-library').replace('2026-01-01', '2026-01-02');
+  const options = { policy, ledger, history: approved.entries, now: '2026-03-02T00:00:00.000Z' };
+  const retargeted = applyIssue(edited, approved.geojson, options);
+  assert.equal(retargeted.result.pending, true);
+  assert.match(retargeted.result.message, /changed since the `marker-approved` label was added/);
+  assert.equal(retargeted.geojson, approved.geojson);
+  assert.equal(retargeted.record, undefined);
+
+  const reapproved = applyIssue(edited, approved.geojson, { ...options, addedLabels: ['marker-approved'] });
+  assert.equal(reapproved.result.ok, true, reapproved.result.message);
+  assert.equal(find(reapproved.geojson, 'central-library').properties.title, 'Cape Town (Multi-AZ)');
+  assert.equal(find(reapproved.geojson, 'cape-town').properties.title, 'Cape Town');
+
+  assert.deepEqual(labelsAddedBy({ action: 'labeled', label: { name: 'marker-approved' }, issue: edited }), ['marker-approved']);
+  assert.deepEqual(labelsAddedBy({ action: 'edited', issue: edited }), []);
+});
+
+test('processIssue stamps history entries with the injected clock', () => {
+  const { result, entries } = processIssue(issue('update.md', ['marker-update']), dataset(), {
+    policy,
+    now: NOW,
+    actor: 'maintainer',
+  });
+  assert.equal(result.ok, true, result.message);
+  assert.deepEqual(entries, [
+    {
+      timestamp: NOW,
+      source: 'issue',
+      issue: 42,
+      issue_url: null,
+      author: 'octo',
+      actor: 'maintainer',
+      marker_id: 'cape-town',
+      operation: 'update',
+      changes: {
+        title: { before: 'Cape Town', after: 'Cape Town (Multi-AZ)' },
+        services: {
+          before: { dns: true, swg_dlp: true, firewall: false, zta: false, vpn: false, meraki_auto_vpn: false, peering_fabric: 'NAPAfrica' },
+          after: { dns: false, swg_dlp: false, firewall: false, zta: false, vpn: false, meraki_auto_vpn: false, peering_fabric: 'NAPAfrica' },
+        },
+      },
+    },
+  ]);
+});
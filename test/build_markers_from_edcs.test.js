@@ -0,0 +1,153 @@
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+const { mergeFeatures } = require('../tools/build_markers_from_edcs');
+
+const SCRIPT = path.join(__dirname, '../tools/build_markers_from_edcs.js');
+const EARLIER = '2026-01-01T00:00:00.000Z';
+const NOW = '2026-03-01T12:00:00.000Z';
+const HEADER = 'Region,Country,Location,DC Type,DNS,SWG & DLP,Firewall,ZTA,VPN,Peering Fabric,Meraki Auto VPN Support';
+
+function site(id, overrides = {}) {
+  return {
+    type: 'Feature',
+    properties: {
+      id,
+      source: 'edcs',
+      title: 'Sydney',
+      description: 'Sydney',
+      Location: 'Sydney',
+      category: 'Asia Pacific',
+      country: 'Australia',
+      updated_at: EARLIER,
+      services: { dns: true, swg_dlp: false, firewall: false, zta: false, vpn: false, meraki_auto_vpn: false, peering_fabric: null },
+      ...overrides,
+    },
+    geometry: { type: 'Point', coordinates: [151.21, -33.87] },
+  };
+}
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+// Runs the first import, then a re-import of `sheet` over the result.
+function reimport(current, sheet, sourceIds = new Set(sheet.map((feature) => feature.properties.id))) {
+  const first = mergeFeatures([], [site('sydney')], new Set(['sydney']), EARLIER);
+  return mergeFeatures(current(clone(first.features)), sheet, sourceIds, NOW, first.markers);
+}
+
+test('adds new sites and records what was imported', () => {
+  const { features, summary, markers } = mergeFeatures([], [site('sydney')], new Set(['sydney']), NOW);
+  assert.deepEqual(summary.added, ['sydney']);
+  assert.equal(features[0].properties.updated_at, EARLIER);
+  assert.deepEqual(markers.sydney.geometry, site('sydney').geometry);
+  assert.equal(markers.sydney.title, 'Sydney');
+});
+
+test('applies sheet changes to fields nobody edited', () => {
+  const moved = site('sydney', { dc_type: 'Cisco Edge v2' });
+  moved.geometry.coordinates = [151.2, -33.9];
+  const { features, summary } = reimport((current) => current, [moved]);
+  assert.deepEqual(summary.changed, [{ id: 'sydney', fields: ['dc_type', 'geometry'] }]);
+  assert.equal(features[0].properties.dc_type, 'Cisco Edge v2');
+  assert.deepEqual(features[0].geometry.coordinates, [151.2, -33.9]);
+  assert.equal(features[0].properties.updated_at, NOW);
+});
+
+test('keeps edits made since the last import', () => {
+  const edited = (features) => {
+    features[0].properties.title = 'Sydney (Equinix SY4)';
+    features[0].properties.services.zta = true;
+    return features;
+  };
+
+  // The sheet is unchanged: nothing to do.
+  const same = reimport(edited, [site('sydney')]);
+  assert.deepEqual(same.summary.changed, []);
+  assert.deepEqual(same.summary.kept, []);
+  assert.equal(same.summary.unchanged, 1);
+  assert.equal(same.features[0].properties.title, 'Sydney (Equinix SY4)');
+  assert.equal(same.features[0].properties.updated_at, EARLIER);
+
+  // The sheet changed the edited fields too: the edits win and are reported.
+  const renamed = site('sydney', { title: 'Sydney 1', description: 'Sydney 1' });
+  renamed.properties.services.vpn = true;
+  const conflict = reimport(edited, [renamed]);
+  assert.deepEqual(conflict.summary.changed, [{ id: 'sydney', fields: ['description'] }]);
+  assert.deepEqual(conflict.summary.kept, [{ id: 'sydney', fields: ['title', 'services'] }]);
+  assert.equal(conflict.features[0].properties.title, 'Sydney (Equinix SY4)');
+  assert.equal(conflict.features[0].properties.services.vpn, false);
+  assert.equal(conflict.markers.sydney.title, 'Sydney 1');
+});
+
+test('without a record of the last import, differing values are kept', () => {
+  const current = [site('sydney', { title: 'Edited' })];
+  const { features, summary } = mergeFeatures(current, [site('sydney')], new Set(['sydney']), NOW);
+  assert.equal(features[0].properties.title, 'Edited');
+  assert.deepEqual(summary.kept, [{ id: 'sydney', fields: ['title'] }]);
+});
+
+test('flags sites that left the sheet and restores them when they return', () => {
+  const gone = reimport((current) => current, [], new Set());
+  assert.deepEqual(gone.summary.removed, ['sydney']);
+  assert.equal(gone.features[0].properties.import_status, 'removed');
+  assert.equal(gone.features[0].properties.removed_at, NOW);
+  assert.ok(gone.markers.sydney, 'the last import of a removed site is remembered');
+
+  const back = mergeFeatures(clone(gone.features), [site('sydney')], new Set(['sydney']), '2026-04-01T00:00:00.000Z', gone.markers);
+  assert.deepEqual(back.summary.changed, [{ id: 'sydney', fields: ['import_status'] }]);
+  assert.equal(back.features[0].properties.import_status, undefined);
+  assert.equal(back.features[0].properties.removed_at, undefined);
+
+  // Markers from issue forms are never flagged.
+  const manual = site('depot', { source: undefined });
+  assert.deepEqual(mergeFeatures([manual], [], new Set(), NOW).summary.removed, []);
+});
+
+test('an unchanged re-import keeps updated_at', () => {
+  const { features, summary } = reimport((current) => current, [site('sydney')]);
+  assert.deepEqual(summary, { added: [], changed: [], kept: [], removed: [], unchanged: 1 });
+  assert.equal(features[0].properties.updated_at, EARLIER);
+});
+
+function workspace(t, rows) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'edcs-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.mkdirSync(path.join(dir, 'docs/data'), { recursive: true });
+  const write = (lines) => fs.writeFileSync(path.join(dir, 'docs/data/edcs.txt'), `${[HEADER, ...lines].join('\n')}\n`);
+  write(rows);
+  const run = (...args) => execFileSync(process.execPath, [SCRIPT, ...args], { cwd: dir, encoding: 'utf8', stdio: 'pipe' });
+  const read = (name) => fs.readFileSync(path.join(dir, 'docs/data', name), 'utf8');
+  return { dir, write, run, read };
+}
+
+test('an issue edit survives a re-import from the command line, and --dry-run writes nothing', (t) => {
+  const { dir, write, run, read } = workspace(t, ['Asia Pacific,Australia,Sydney,Cisco Edge v1,✓,,,,,,']);
+  run();
+  const markersFile = path.join(dir, 'docs/data/markers.geojson');
+  const geojson = JSON.parse(read('markers.geojson'));
+  const sydney = geojson.features.find((feature) => feature.properties.id === 'edcs-australia-sydney');
+  sydney.properties.title = 'Sydney (Equinix SY4)';
+  sydney.properties.services.zta = true;
+  fs.writeFileSync(markersFile, `${JSON.stringify(geojson, null, 2)}\n`);
+
+  write(['Asia Pacific,Australia,Sydney,Cisco Edge v1,✓,,,,,,', 'Asia Pacific,Australia,Melbourne,Cisco Edge v1,✓,,,,,,']);
+  const before = ['markers.geojson', 'history.jsonl', 'edcs_import.json'].map(read);
+  const output = run('--dry-run');
+  assert.match(output, /1 added, 0 changed, 0 flagged removed, 1 unchanged/);
+  assert.doesNotMatch(output, /~ edcs-australia-sydney/);
+  assert.match(output, /Dry run: no files were written/);
+  assert.deepEqual(['markers.geojson', 'history.jsonl', 'edcs_import.json'].map(read), before);
+
+  run();
+  const after = JSON.parse(read('markers.geojson')).features;
+  assert.deepEqual(
+    after.map((feature) => feature.properties.id),
+    ['edcs-australia-melbourne', 'edcs-australia-sydney']
+  );
+  assert.equal(after[1].properties.title, 'Sydney (Equinix SY4)');
+  assert.equal(after[1].properties.services.zta, true);
+  assert.ok(JSON.parse(read('edcs_import.json')).markers['edcs-australia-melbourne']);
+});
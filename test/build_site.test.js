@@ -0,0 +1,137 @@
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+const { buildSite, pagesUrl, writeSite } = require('../tools/build_site');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURE = path.join(__dirname, 'fixtures/markers.geojson');
+const schemaText = fs.readFileSync(path.join(ROOT, 'docs/data/marker_schema.json'), 'utf8');
+
+function dataset() {
+  return JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+}
+
+function build(geojson = dataset(), options = {}) {
+  return buildSite(geojson, {
+    schemaText,
+    baseUrl: 'https://octo.github.io/maps/',
+    repository: 'https://github.com/octo/maps',
+    ...options,
+  });
+}
+
+test('writes a page and an API file per marker, plus region files and a manifest', () => {
+  const files = build();
+  assert.deepEqual(Array.from(files.keys()).sort(), [
+    'api/by-region/africa.json',
+    'api/by-region/education.json',
+    'api/by-region/europe.json',
+    'api/changelog.json',
+    'api/manifest.json',
+    'api/markers/cape-town.json',
+    'api/markers/central-library.json',
+    'api/markers/index.json',
+    'api/markers/zone-eu.json',
+    `api/schema/marker_schema.${JSON.parse(files.get('api/manifest.json')).schema_version}.json`,
+    'feed.xml',
+    'markers/cape-town/index.html',
+    'markers/central-library/index.html',
+    'markers/index.html',
+    'markers/zone-eu/index.html',
+    'rss.xml',
+    'sitemap.xml',
+  ]);
+
+  assert.deepEqual(JSON.parse(files.get('api/markers/cape-town.json')), dataset().features[0]);
+  const africa = JSON.parse(files.get('api/by-region/africa.json'));
+  assert.equal(africa.region, 'Africa');
+  assert.deepEqual(
+    africa.features.map((feature) => feature.properties.id),
+    ['cape-town']
+  );
+
+  const manifest = JSON.parse(files.get('api/manifest.json'));
+  assert.equal(manifest.api_version, 1);
+  assert.match(manifest.schema_version, /^[0-9a-f]{12}$/);
+  assert.equal(files.get(`api/${manifest.schema}`), schemaText);
+  assert.equal(manifest.count, 3);
+  assert.equal(manifest.updated_at, '2026-01-03T00:00:00.000Z');
+  assert.deepEqual(manifest.regions[0], { name: 'Africa', count: 1, url: 'by-region/africa.json' });
+});
+
+test('marker pages show the details and link to the map, the API and the issue forms', () => {
+  const html = build().get('markers/cape-town/index.html');
+  assert.match(html, /<title>Cape Town · Community Mapping App<\/title>/);
+  assert.match(html, /<link rel="canonical" href="https:\/\/octo\.github\.io\/maps\/markers\/cape-town\/" \/>/);
+  assert.match(html, /<li class="is-on">SWG &amp; DLP: yes<\/li><li class="is-off">Firewall: no<\/li>/);
+  assert.match(html, /<dd>-33\.9249, 18\.4241<\/dd>/);
+  assert.match(html, /href="\.\.\/\.\.\/index\.html#marker=cape-town">View on the map/);
+  assert.match(html, /template=update-marker\.yml&amp;[^"]*id=cape-town&amp;expected_updated_at=2026-01-01T00%3A00%3A00\.000Z/);
+  assert.match(html, /<script type="application\/json" id="marker-geometry">\{"type":"Point"/);
+});
+
+test('escapes marker text and leaves out removed imports', () => {
+  const data = dataset();
+  data.features[1].properties.title = '</script><b>Library</b>';
+  data.features[2].properties.import_status = 'removed';
+
+  const files = build(data);
+  const html = files.get('markers/central-library/index.html');
+  assert.match(html, /<h1>&lt;\/script&gt;&lt;b&gt;Library&lt;\/b&gt;<\/h1>/);
+  assert.ok(!html.includes('<b>Library'));
+  assert.equal(files.has('markers/zone-eu/index.html'), false);
+  assert.equal(files.has('api/by-region/europe.json'), false);
+});
+
+test('the sitemap lists every page, and needs a base URL', () => {
+  const sitemap = build().get('sitemap.xml');
+  assert.match(sitemap, /<loc>https:\/\/octo\.github\.io\/maps\/markers\/zone-eu\/<\/loc>\n    <lastmod>2026-01-03<\/lastmod>/);
+  assert.equal((sitemap.match(/<url>/g) || []).length, 6);
+
+  const files = build(dataset(), { baseUrl: null, repository: null });
+  assert.equal(files.has('sitemap.xml'), false);
+  assert.doesNotMatch(files.get('markers/cape-town/index.html'), /rel="canonical"|Propose update/);
+});
+
+test('the map page links the Atom feed only when the build writes it', () => {
+  const mapPage = fs.readFileSync(path.join(ROOT, 'docs/index.html'), 'utf8');
+  const feedLink = /<link rel="alternate" type="application\/atom\+xml"[^>]*href="\.\/feed\.xml"/g;
+  assert.doesNotMatch(mapPage, feedLink);
+
+  const withFeed = build(dataset(), { mapPage }).get('index.html');
+  assert.equal((withFeed.match(feedLink) || []).length, 1);
+  assert.equal(build(dataset(), { mapPage: withFeed }).get('index.html'), withFeed);
+
+  const withoutFeed = build(dataset(), { mapPage: withFeed, baseUrl: null }).get('index.html');
+  assert.equal(withoutFeed, mapPage);
+  assert.equal(build().has('index.html'), false);
+});
+
+test('the Pages URL comes from the repository name', () => {
+  assert.equal(pagesUrl('octo/maps'), 'https://octo.github.io/maps/');
+  assert.equal(pagesUrl('Octo/octo.github.io'), 'https://octo.github.io/');
+  assert.equal(pagesUrl(''), null);
+});
+
+test('rebuilding replaces the generated files and nothing else', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, 'index.html'), 'map');
+
+  execFileSync(process.execPath, ['tools/build_site.js', '--file', FIXTURE, '--out', dir, '--repository', 'octo/maps'], {
+    cwd: ROOT,
+    encoding: 'utf8',
+  });
+  assert.ok(fs.existsSync(path.join(dir, 'markers/zone-eu/index.html')));
+  assert.match(fs.readFileSync(path.join(dir, 'sitemap.xml'), 'utf8'), /https:\/\/octo\.github\.io\/maps\/markers\//);
+
+  const data = dataset();
+  data.features.pop();
+  writeSite(dir, build(data));
+  assert.equal(fs.existsSync(path.join(dir, 'markers/zone-eu')), false);
+  assert.equal(fs.existsSync(path.join(dir, 'api/markers/zone-eu.json')), false);
+  assert.equal(fs.readFileSync(path.join(dir, 'index.html'), 'utf8'), 'map');
+});
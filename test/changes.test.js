@@ -0,0 +1,117 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const { buildSite } = require('../tools/build_site');
+const { FEED_LIMIT, buildChangelog, describeChange, toAtom } = require('../tools/changes');
+const { buildHistoryEntries } = require('../tools/history');
+const { child, children, parseXml, textOf } = require('../tools/xml');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURE = path.join(__dirname, 'fixtures/markers.geojson');
+const BASE_URL = 'https://octo.github.io/maps/';
+const ISSUE = { number: 7, html_url: 'https://github.com/octo/maps/issues/7', user: { login: 'ada' } };
+
+function dataset() {
+  return JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+}
+
+// Moves Cape Town about 1 km north and drops its DNS, adds a marker and
+// deletes another, as one issue would.
+function history() {
+  const before = dataset();
+  const after = dataset();
+  const capeTown = after.features[0];
+  capeTown.geometry.coordinates = [18.4241, -33.9159];
+  capeTown.properties.services = { ...capeTown.properties.services, dns: false, zta: true };
+  capeTown.properties.description = 'Teraco CT1.';
+  after.features.splice(1, 1);
+  after.features.push({
+    type: 'Feature',
+    properties: { id: 'lagos', title: 'Lagos & Ikeja', category: 'Africa' },
+    geometry: { type: 'Point', coordinates: [3.3792, 6.5244] },
+  });
+  return {
+    after,
+    entries: buildHistoryEntries(before, after, { issue: ISSUE, timestamp: '2026-02-01T10:00:00.000Z' }),
+  };
+}
+
+test('describes moves, lost and gained services and other edits', () => {
+  const { entries } = history();
+  const titles = new Map([['cape-town', 'Cape Town']]);
+  const byId = Object.fromEntries(entries.map((entry) => [entry.marker_id, describeChange(entry, { titles })]));
+
+  assert.deepEqual(byId['cape-town'].kinds, ['moved', 'capability-lost', 'capability-gained', 'updated']);
+  assert.equal(byId['cape-town'].moved_meters, 1001);
+  assert.deepEqual(byId['cape-town'].services, { gained: ['ZTA'], lost: ['DNS'] });
+  assert.equal(
+    byId['cape-town'].summary,
+    'Updated "Cape Town" (cape-town): moved 1.0 km; lost DNS; gained ZTA; changed description.'
+  );
+  assert.equal(byId['central-library'].summary, 'Removed "Central Library" (central-library).');
+  assert.equal(byId.lagos.headline, 'Added Lagos & Ikeja');
+  assert.equal(byId.lagos.issue_url, ISSUE.html_url);
+
+  const fabricOnly = describeChange({
+    operation: 'update',
+    marker_id: 'x',
+    changes: { services: { before: { dns: true, peering_fabric: 'A' }, after: { dns: true, peering_fabric: 'B' } } },
+  });
+  assert.deepEqual(fabricOnly.kinds, ['updated']);
+  assert.equal(fabricOnly.headline, 'x: changed services');
+});
+
+test('the changelog is newest first and links to markers that still have a page', () => {
+  const { after, entries } = history();
+  const older = { ...entries[0], timestamp: '2026-01-15T00:00:00.000Z', operation: 'update', changes: { link: {} } };
+  const changelog = buildChangelog([older, ...entries], after);
+
+  assert.equal(changelog.length, 4);
+  assert.equal(changelog.at(-1).timestamp, '2026-01-15T00:00:00.000Z');
+  assert.equal(changelog[0].title, 'Cape Town');
+  assert.equal(changelog[0].page, '../markers/cape-town/');
+  assert.equal(changelog.find((change) => change.marker_id === 'central-library').page, null);
+});
+
+test('the site build writes the changelog and well-formed Atom and RSS feeds', () => {
+  const { after, entries } = history();
+  const files = buildSite(after, {
+    schemaText: fs.readFileSync(path.join(ROOT, 'docs/data/marker_schema.json'), 'utf8'),
+    history: entries,
+    baseUrl: BASE_URL,
+  });
+
+  const changelog = JSON.parse(files.get('api/changelog.json'));
+  assert.equal(changelog.updated_at, '2026-02-01T10:00:00.000Z');
+  assert.equal(changelog.count, 3);
+  assert.equal(JSON.parse(files.get('api/manifest.json')).changelog, 'changelog.json');
+
+  const feed = child(parseXml(files.get('feed.xml')), 'feed');
+  assert.equal(textOf(child(feed, 'updated')), '2026-02-01T10:00:00.000Z');
+  const atomEntries = children(feed, 'entry');
+  assert.equal(atomEntries.length, 3);
+  const lagos = atomEntries.find((entry) => textOf(child(entry, 'title')) === 'Added Lagos & Ikeja');
+  assert.equal(child(lagos, 'link').attrs.href, `${BASE_URL}markers/lagos/`);
+  assert.equal(textOf(child(child(lagos, 'author'), 'name')), '@ada');
+  const removed = atomEntries.find((entry) => child(entry, 'category').attrs.term === 'removed');
+  assert.equal(child(removed, 'link').attrs.href, ISSUE.html_url);
+
+  const channel = child(child(parseXml(files.get('rss.xml')), 'rss'), 'channel');
+  const items = children(channel, 'item');
+  assert.equal(items.length, 3);
+  assert.equal(textOf(child(items[0], 'pubDate')), 'Sun, 01 Feb 2026 10:00:00 GMT');
+
+  const noBase = buildSite(after, { schemaText: '{}', history: entries });
+  assert.equal(noBase.has('feed.xml'), false);
+  assert.ok(noBase.has('api/changelog.json'));
+});
+
+test('feeds carry only the newest changes', () => {
+  const changes = Array.from({ length: FEED_LIMIT + 5 }, (_, index) => ({
+    ...describeChange({ timestamp: `2026-01-01T00:00:${String(index).padStart(2, '0')}Z`, operation: 'add', marker_id: `m${index}` }),
+    page: null,
+  }));
+  const feed = child(parseXml(toAtom(changes, { baseUrl: BASE_URL, updated: '2026-01-01T00:00:00Z' })), 'feed');
+  assert.equal(children(feed, 'entry').length, FEED_LIMIT);
+});
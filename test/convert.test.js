@@ -0,0 +1,82 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { readMarkers, writeMarkers } = require('../tools/convert');
+
+// Values that are easy to lose on the way through a text format.
+const TRICKY = {
+  id: 'zurich-ost',
+  title: 'Café "Zürich", Ost',
+  description: '  Rack 4 & 5 <cage B>  \nsecond line, with a comma\r\n\tthird line ',
+  link: 'https://example.org/sites?a=1&b=2',
+  category: 'Europe',
+  Location: ' Zürich ',
+  country: 'Switzerland',
+  updated_at: '2026-01-01T00:00:00.000Z',
+  focus_on_load: true,
+  services: { dns: true, swg_dlp: false, firewall: false, zta: true, vpn: false, meraki_auto_vpn: false, peering_fabric: 'SwissIX' },
+};
+
+function features() {
+  return [
+    { type: 'Feature', properties: { ...TRICKY }, geometry: { type: 'Point', coordinates: [8.5417, 47.3769] } },
+    {
+      type: 'Feature',
+      properties: { id: 'tokyo-link', title: '東京 – 大阪', description: 'Ligne « directe »', category: 'Asia' },
+      geometry: {
+        type: 'LineString',
+        coordinates: [
+          [139.6917, 35.6895],
+          [135.5023, 34.6937],
+        ],
+      },
+    },
+  ];
+}
+
+function roundTrip(format, input = features()) {
+  const { text, skipped } = writeMarkers(input, format);
+  assert.equal(skipped, 0);
+  const { features: output, errors } = readMarkers(text, format);
+  assert.deepEqual(errors, []);
+  return output;
+}
+
+for (const format of ['csv', 'kml', 'gpx']) {
+  test(`${format.toUpperCase()} round-trips quotes, line breaks, edge spaces and non-ASCII text`, () => {
+    assert.deepEqual(roundTrip(format), features());
+  });
+}
+
+test('CSV keeps areas as WKT, and KML keeps them as polygons', () => {
+  const area = {
+    type: 'Feature',
+    properties: { id: 'zone', title: 'Zone' },
+    geometry: {
+      type: 'Polygon',
+      coordinates: [
+        [
+          [0, 0],
+          [1, 0],
+          [1, 1],
+          [0, 0],
+        ],
+      ],
+    },
+  };
+  assert.deepEqual(roundTrip('csv', [area]), [area]);
+  assert.deepEqual(roundTrip('kml', [area]), [area]);
+  assert.equal(writeMarkers([area], 'gpx').skipped, 1);
+});
+
+test('KML from other tools falls back to trimmed <name> and <description>', () => {
+  const kml = `<kml><Document><Placemark>
+    <name>
+      Depot
+    </name>
+    <description>North gate</description>
+    <Point><coordinates> 13.4,52.5,0 </coordinates></Point>
+  </Placemark></Document></kml>`;
+  const { features: read } = readMarkers(kml, 'kml');
+  assert.deepEqual(read[0].properties, { title: 'Depot', description: 'North gate' });
+  assert.deepEqual(read[0].geometry.coordinates, [13.4, 52.5]);
+});
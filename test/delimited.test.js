@@ -0,0 +1,60 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { detectDelimiter, mapRecords, normalizeHeader, parseDelimited } = require('../tools/delimited');
+
+test('quoted fields keep delimiters, doubled quotes and line breaks', () => {
+  const parsed = parseDelimited('Country,Location,Notes\r\nGermany,"Frankfurt, 2","Rack ""A""\r\nsecond line"\r\nJapan,Tokyo,\r\n');
+  assert.equal(parsed.delimiter, ',');
+  assert.deepEqual(parsed.headers, ['Country', 'Location', 'Notes']);
+  assert.deepEqual(parsed.rows, [
+    { line: 2, fields: ['Germany', 'Frankfurt, 2', 'Rack "A"\r\nsecond line'] },
+    { line: 4, fields: ['Japan', 'Tokyo', ''] },
+  ]);
+});
+
+test('unquoted fields are trimmed, quoted ones kept as written', () => {
+  const { rows } = parseDelimited('a,b\n  x  ," y "\n');
+  assert.deepEqual(rows[0].fields, ['x', ' y ']);
+});
+
+test('a byte order mark, old Mac line ends and blank lines are ignored', () => {
+  const parsed = parseDelimited('﻿Country;Location\r\rGermany;Munich\rJapan;"Osaka;Kita"');
+  assert.equal(parsed.delimiter, ';');
+  assert.deepEqual(parsed.headers, ['Country', 'Location']);
+  assert.deepEqual(
+    parsed.rows.map((row) => [row.line, ...row.fields]),
+    [
+      [3, 'Germany', 'Munich'],
+      [4, 'Japan', 'Osaka;Kita'],
+    ]
+  );
+});
+
+test('the delimiter is whichever splits the header most, outside quotes', () => {
+  assert.equal(detectDelimiter('Country\tLocation\tDNS\n'), '\t');
+  assert.equal(detectDelimiter('"Name, full";Country;Type\n'), ';');
+  assert.equal(detectDelimiter('Single\n'), ',');
+});
+
+test('malformed quoting is reported as source:line:column', () => {
+  assert.throws(() => parseDelimited('a,b\nx,ab"c"\n', { source: 'sites.csv' }), {
+    message: 'sites.csv:2:5: quote inside an unquoted field.',
+  });
+  assert.throws(() => parseDelimited('a,b\n"x"y,z\n', { source: 'sites.csv' }), {
+    message: 'sites.csv:2:4: unexpected character after closing quote.',
+  });
+  assert.throws(() => parseDelimited('a,b\nx,y\nz,"open\nstill open\n', { source: 'sites.csv' }), {
+    message: 'sites.csv:3:3: unterminated quoted field.',
+  });
+  assert.throws(() => parseDelimited('\n\n', { source: 'sites.csv' }), { message: 'sites.csv is empty.' });
+});
+
+test('headers map to keys through their aliases, and short rows are reported', () => {
+  assert.equal(normalizeHeader(' SWG & DLP '), 'swg_dlp');
+  const parsed = parseDelimited('Site,SWG/DLP,Peering Fabric\nTokyo,Yes,JPNAP\nOsaka,No\n');
+  const { keys, rows, errors } = mapRecords(parsed, { location: ['Site'], swg_dlp: ['SWG/DLP'] }, { source: 'sites.csv' });
+  assert.deepEqual(keys, ['location', 'swg_dlp', 'peering_fabric']);
+  assert.deepEqual(rows, [{ location: 'Tokyo', swg_dlp: 'Yes', peering_fabric: 'JPNAP' }]);
+  assert.equal(rows[0].line, 2);
+  assert.deepEqual(errors, ['sites.csv:3: expected 3 columns, found 2.']);
+});
@@ -0,0 +1,95 @@
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { GAZETTEER_FILE, cleanLocationName, createGeocoder, readJson } = require('../tools/geocode');
+
+const gazetteer = {
+  countries: [
+    { name: 'Germany', code: 'DE', aliases: ['Deutschland'], lat: 51.17, lng: 10.45 },
+    { name: 'United States', code: 'US', aliases: ['USA'], lat: 37.09, lng: -95.71 },
+    { name: 'Singapore', code: 'SG', aliases: [], lat: 1.35, lng: 103.82 },
+    { name: 'Canada', code: 'CA', aliases: [], lat: 56.13, lng: -106.35 },
+  ],
+  places: [
+    { name: 'Frankfurt', country: 'DE', aliases: ['Frankfurt am Main'], lat: 50.11, lng: 8.68 },
+    { name: 'Munich', country: 'DE', aliases: ['München'], lat: 48.14, lng: 11.58 },
+    { name: 'Springfield', country: 'US', aliases: [], lat: 39.78, lng: -89.65 },
+    { name: 'Springfield', country: 'US', aliases: [], lat: 42.1, lng: -72.59 },
+    { name: 'London', country: 'CA', aliases: [], lat: 42.98, lng: -81.25 },
+  ],
+};
+
+const geocoder = createGeocoder({ gazetteer });
+
+test('site qualifiers are not part of the place name', () => {
+  assert.equal(cleanLocationName('Tokyo 2'), 'Tokyo');
+  assert.equal(cleanLocationName('Beijing (Multi-AZ)***'), 'Beijing');
+  assert.equal(cleanLocationName('Frankfurt 2 (Multi-AZ)'), 'Frankfurt');
+  assert.equal(cleanLocationName('  '), '');
+});
+
+test('resolves places by name or alias, ignoring case, accents and qualifiers', () => {
+  assert.deepEqual(geocoder.resolve('deutschland', 'Frankfurt 2 (Multi-AZ)***'), {
+    status: 'resolved',
+    lat: 50.11,
+    lng: 8.68,
+    precision: 'place',
+    match: 'Frankfurt, Germany',
+    country_code: 'DE',
+    matched_name: 'Frankfurt',
+  });
+  assert.equal(geocoder.resolve('Germany', 'MUNCHEN').match, 'Munich, Germany');
+  assert.equal(geocoder.resolve('DE', 'Frankfurt am Main').precision, 'place');
+});
+
+test('falls back to the country when the location names it', () => {
+  const result = geocoder.resolve('Singapore', 'Singapore 1');
+  assert.equal(result.status, 'resolved');
+  assert.equal(result.precision, 'country');
+  assert.deepEqual([result.lat, result.lng], [1.35, 103.82]);
+});
+
+test('reports ambiguous places instead of guessing', () => {
+  assert.deepEqual(geocoder.resolve('USA', 'Springfield'), {
+    status: 'ambiguous',
+    reason: '"Springfield" matches 2 gazetteer places',
+    suggestions: ['Springfield, US', 'Springfield, US'],
+  });
+  // London is only listed in Canada.
+  assert.deepEqual(geocoder.resolve('Germany', 'London'), {
+    status: 'ambiguous',
+    reason: '"London" is not listed under country "Germany"',
+    suggestions: ['London, CA'],
+  });
+});
+
+test('unresolved locations come with a reason and close spellings', () => {
+  assert.deepEqual(geocoder.resolve('Germany', 'Frankfrut'), {
+    status: 'unresolved',
+    reason: '"Frankfrut" is not in the gazetteer for Germany',
+    suggestions: ['Frankfurt'],
+  });
+  assert.equal(geocoder.resolve('Atlantis', 'Poseidonia').reason, 'unknown country "Atlantis"');
+  assert.equal(geocoder.resolve('Germany', '***').reason, 'location is empty');
+});
+
+test('overrides pin a location to coordinates or to another gazetteer place', () => {
+  const withOverrides = createGeocoder({
+    gazetteer,
+    overrides: {
+      'Germany / Frankfurt 3': { lat: 50.1, lng: 8.7, note: 'Frankfurt 3 campus' },
+      'Germany / Bavaria': { place: 'Munich' },
+      'Germany / Nowhere': { place: 'Nowhere City' },
+    },
+  });
+  assert.equal(withOverrides.resolve('Germany', 'Frankfurt 3').match, 'Frankfurt 3 campus');
+  assert.equal(withOverrides.resolve('Germany', 'Frankfurt 3').precision, 'override');
+  assert.equal(withOverrides.resolve('germany', 'bavaria').match, 'Munich, Germany');
+  assert.equal(withOverrides.resolve('Germany', 'Nowhere').status, 'unresolved');
+});
+
+test('every gazetteer place belongs to a listed country', () => {
+  const shipped = readJson(GAZETTEER_FILE, {});
+  const codes = new Set(shipped.countries.map((country) => country.code));
+  assert.equal(codes.size, shipped.countries.length);
+  for (const place of shipped.places) assert.ok(codes.has(place.country), `${place.name}: unknown country ${place.country}`);
+});
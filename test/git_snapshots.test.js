@@ -0,0 +1,53 @@
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+const { createGitSnapshots } = require('../tools/git_snapshots');
+
+const DATA = 'docs/data/markers.geojson';
+
+// A throwaway repository whose markers.geojson gains one marker per commit.
+function repository(t, subjects) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const git = (...args) =>
+    execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.org', ...args], { cwd: dir, stdio: 'pipe' });
+  git('init', '-q');
+  fs.mkdirSync(path.join(dir, path.dirname(DATA)), { recursive: true });
+
+  const features = [];
+  subjects.forEach((subject, index) => {
+    features.push({ type: 'Feature', properties: { id: `m${index}` }, geometry: null });
+    fs.writeFileSync(path.join(dir, DATA), JSON.stringify({ type: 'FeatureCollection', features }));
+    git('add', '.');
+    git('commit', '-q', '-m', subject);
+  });
+  return createGitSnapshots({ cwd: dir });
+}
+
+const ids = (snapshot) => snapshot.geojson.features.map((feature) => feature.properties.id);
+
+test('finds the state before an issue applied by a direct commit', (t) => {
+  const snapshots = repository(t, ['Initial markers', 'chore(markers): apply issue #12', 'chore(markers): apply issue #123']);
+  const snapshot = snapshots.beforeIssue('12');
+  assert.equal(snapshot.subject, 'Initial markers');
+  assert.deepEqual(ids(snapshot), ['m0']);
+  assert.deepEqual(ids(snapshots.beforeIssue('123')), ['m0', 'm1']);
+  assert.equal(snapshots.beforeIssue('1'), null);
+});
+
+test('finds the state before an issue applied by a squash-merged pull request', (t) => {
+  const snapshots = repository(t, [
+    'Initial markers',
+    'Apply marker update from issue #7 (#8)',
+    'Apply marker update from issue #70 (#71)',
+  ]);
+  assert.deepEqual(ids(snapshots.beforeIssue('7')), ['m0']);
+  assert.deepEqual(ids(snapshots.beforeIssue('70')), ['m0', 'm1']);
+  assert.deepEqual(
+    snapshots.after(snapshots.beforeIssue('7')).map((snapshot) => snapshot.subject),
+    ['Apply marker update from issue #7 (#8)', 'Apply marker update from issue #70 (#71)']
+  );
+});
@@ -0,0 +1,72 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const { parseIssueFormBody } = require('../tools/issue_parser');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures/issues', name), 'utf8');
+
+test('keys fields by their normalized heading', () => {
+  const parsed = parseIssueFormBody(fixture('update.md'));
+  assert.deepEqual(Object.keys(parsed), [
+    'marker_id',
+    'expected_updated_at',
+    'title',
+    'description',
+    'link',
+    'category',
+    'services',
+    'latitude',
+    'longitude',
+    'geometry',
+    'icon',
+    'optional_map_behavior',
+  ]);
+  assert.equal(parsed.marker_id.value, 'cape-town');
+  assert.equal(parsed.expected_updated_at.value, '2026-01-01T00:00:00.000Z');
+});
+
+test('reads "_No response_" as an empty value', () => {
+  const parsed = parseIssueFormBody(fixture('add-minimal.md'));
+  assert.equal(parsed.description.raw, '_No response_');
+  assert.equal(parsed.description.value, '');
+  assert.equal(parsed.marker_id.value, '');
+});
+
+test('keeps dropdown placeholders such as "(none)" and "(no change)" for the caller', () => {
+  assert.equal(parseIssueFormBody(fixture('add-minimal.md')).category.value, '(none)');
+  assert.equal(parseIssueFormBody(fixture('update.md')).category.value, '(no change)');
+});
+
+test('reports checkboxes as checked for [x] and [X] only', () => {
+  const unchecked = parseIssueFormBody(fixture('add-near-duplicate.md')).distinct_site;
+  assert.equal(unchecked.checked, false);
+  assert.match(unchecked.value, /^- \[ \] This is a distinct site/);
+
+  const upper = parseIssueFormBody(fixture('add-distinct-site.md')).distinct_site;
+  assert.equal(upper.checked, true);
+  assert.equal(upper.value, 'This is a distinct site, not a duplicate of a nearby marker.');
+
+  assert.equal(parseIssueFormBody(fixture('update-focus.md')).optional_map_behavior.checked, true);
+  assert.equal(parseIssueFormBody(fixture('delete-unconfirmed.md')).confirmation.checked, false);
+});
+
+test('keeps multi-line textareas, including code fences', () => {
+  const parsed = parseIssueFormBody(fixture('bulk.md'));
+  const lines = parsed.markers.value.split('\n');
+  assert.equal(lines[0], '```csv');
+  assert.equal(lines.length, 6);
+  assert.equal(parsed.confirm_deletions.checked, true);
+});
+
+test('accepts CRLF line endings and ignores horizontal rules', () => {
+  const parsed = parseIssueFormBody('### Title\r\n\r\nHarbour\r\n---\r\n\r\n### Latitude\r\n\r\n1.5\r\n');
+  assert.equal(parsed.title.value, 'Harbour');
+  assert.equal(parsed.latitude.value, '1.5');
+});
+
+test('returns an empty object for an empty or missing body', () => {
+  assert.deepEqual(parseIssueFormBody(''), {});
+  assert.deepEqual(parseIssueFormBody(undefined), {});
+  assert.deepEqual(parseIssueFormBody('No headings here.'), {});
+});
@@ -0,0 +1,98 @@
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const { formatDistance, haversineMeters, nearestPosition, rankNearest } = require('../docs/nearest');
+const { candidateFeatures } = require('../tools/nearest');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURE = path.join(__dirname, 'fixtures/markers.geojson');
+
+function site(id, coordinates, properties = {}) {
+  return { type: 'Feature', properties: { id, title: id, ...properties }, geometry: { type: 'Point', coordinates } };
+}
+
+const ids = (ranked) => ranked.map((entry) => entry.feature.properties.id);
+
+test('distances are great-circle distances in meters', () => {
+  assert.equal(haversineMeters([2.3522, 48.8566], [2.3522, 48.8566]), 0);
+  // London to Paris is about 344 km.
+  assert.equal(Math.round(haversineMeters([-0.1276, 51.5072], [2.3522, 48.8566]) / 1000), 344);
+  assert.equal(formatDistance(850.4), '850 m');
+  assert.equal(formatDistance(12345), '12.3 km');
+  assert.equal(formatDistance(345678), '346 km');
+});
+
+test('ranks sites nearest first and stops at the limit', () => {
+  const features = [site('far', [3, 0]), site('near', [1, 0]), site('middle', [2, 0]), site('farthest', [4, 0])];
+  assert.deepEqual(ids(rankNearest([0, 0], features)), ['near', 'middle', 'far', 'farthest']);
+
+  const top = rankNearest([0, 0], features, { limit: 2 });
+  assert.deepEqual(ids(top), ['near', 'middle']);
+  assert.deepEqual(top[0].position, [1, 0]);
+  assert.ok(top[0].distance < top[1].distance);
+});
+
+test('features without a usable geometry are left out', () => {
+  const features = [
+    site('placed', [1, 1]),
+    { type: 'Feature', properties: { id: 'no-geometry' }, geometry: null },
+    { type: 'Feature', properties: { id: 'missing' } },
+    { type: 'Feature', properties: { id: 'broken' }, geometry: { type: 'Point' } },
+    null,
+  ];
+  assert.deepEqual(ids(rankNearest([0, 0], features)), ['placed']);
+  assert.equal(nearestPosition(null, [0, 0]), null);
+});
+
+test('distances wrap around the antimeridian', () => {
+  const features = [site('fiji-west', [179, -17]), site('fiji-east', [-179.9, -17])];
+  const [nearest, next] = rankNearest([179.9, -17], features);
+  assert.equal(nearest.feature.properties.id, 'fiji-east');
+  assert.equal(Math.round(nearest.distance / 1000), 21);
+  assert.equal(Math.round(next.distance / 1000), 96);
+});
+
+test('lines are measured to their closest segment and areas are 0 inside', () => {
+  const line = { type: 'LineString', coordinates: [[0, 0], [2, 0]] };
+  const onLine = nearestPosition(line, [1, 1]);
+  assert.deepEqual(onLine.position, [1, 0]);
+  assert.equal(Math.round(onLine.distance / 1000), 111);
+
+  const area = { type: 'Polygon', coordinates: [[[0, 0], [2, 0], [2, 2], [0, 2], [0, 0]]] };
+  assert.deepEqual(nearestPosition(area, [1, 1]), { position: [1, 1], distance: 0 });
+  assert.deepEqual(nearestPosition(area, [3, 1]).position, [2, 1]);
+});
+
+test('candidates follow the map filters and leave out removed imports', () => {
+  const features = [
+    site('both', [0, 0], { category: 'Europe', services: { zta: true, vpn: true } }),
+    site('zta', [0, 0], { category: 'Europe', services: { zta: true } }),
+    site('asia', [0, 0], { category: 'Asia', services: { zta: true, vpn: true } }),
+    site('gone', [0, 0], { category: 'Europe', services: { zta: true, vpn: true }, import_status: 'removed' }),
+  ];
+  const pick = (options) => candidateFeatures(features, options).map((feature) => feature.properties.id);
+  assert.deepEqual(pick({ services: ['zta', 'vpn'] }), ['both', 'asia']);
+  assert.deepEqual(pick({ services: ['zta', 'vpn'], match: 'any' }), ['both', 'zta', 'asia']);
+  assert.deepEqual(pick({ categories: ['europe'] }), ['both', 'zta']);
+});
+
+test('the nearest CLI lists the closest markers as JSON', () => {
+  const output = execFileSync(
+    process.execPath,
+    ['tools/nearest.js', '51.5', '-0.12', '--file', FIXTURE, '--top', '2', '--format', 'json'],
+    { cwd: ROOT, encoding: 'utf8' }
+  );
+  const { origin, candidates, nearest } = JSON.parse(output);
+  assert.deepEqual(origin, { lat: 51.5, lng: -0.12, label: '51.5, -0.12' });
+  assert.equal(candidates, JSON.parse(fs.readFileSync(FIXTURE, 'utf8')).features.length);
+  // London is inside the Europe zone, about 1 km from the library.
+  assert.deepEqual(
+    nearest.map((entry) => [entry.id, entry.distance_m]),
+    [
+      ['zone-eu', 0],
+      ['central-library', 958],
+    ]
+  );
+});
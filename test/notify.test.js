@@ -0,0 +1,138 @@
+const assert = require('node:assert/strict');
+const { execFile } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+const { buildHistoryEntries } = require('../tools/history');
+const { SIGNATURE_HEADER, buildPayload, latestEntries, postWebhook } = require('../tools/notify');
+const { createStubServer } = require('../tools/webhook_stub');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURE = path.join(__dirname, 'fixtures/markers.geojson');
+const ISSUE = { number: 12, html_url: 'https://github.com/octo/maps/issues/12', user: { login: 'ada' } };
+
+function dataset() {
+  return JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+}
+
+// Issue #12 first edits Cape Town's description, then (edited and applied
+// again) moves it and deletes the library.
+function history() {
+  const first = dataset();
+  first.features[0].properties.description = 'Teraco CT1.';
+  const second = dataset();
+  second.features[0].properties.description = 'Teraco CT1.';
+  second.features[0].geometry.coordinates = [18.5, -33.9];
+  second.features.splice(1, 1);
+  return {
+    after: second,
+    entries: [
+      ...buildHistoryEntries(dataset(), first, { issue: ISSUE, timestamp: '2026-02-01T10:00:00.000Z' }),
+      ...buildHistoryEntries(first, second, { issue: ISSUE, timestamp: '2026-02-01T11:00:00.000Z' }),
+    ],
+  };
+}
+
+async function listen(options) {
+  const received = [];
+  const server = createStubServer({ ...options, onRequest: (request) => received.push(request) });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, received, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+function run(args, env, cwd = ROOT) {
+  return new Promise((resolve) => {
+    const script = path.join(ROOT, 'tools/notify.js');
+    execFile(process.execPath, [script, ...args], { cwd, env: { ...process.env, ...env } }, (error, stdout, stderr) =>
+      resolve({ code: error ? error.code : 0, stdout, stderr })
+    );
+  });
+}
+
+test('the payload lists the latest application of the issue with its changed fields', () => {
+  const { after, entries } = history();
+  const latest = latestEntries(entries, 12);
+  assert.deepEqual(
+    latest.map((entry) => entry.marker_id),
+    ['cape-town', 'central-library']
+  );
+
+  const payload = buildPayload(latest, { repository: 'octo/maps', geojson: after, baseUrl: 'https://octo.github.io/maps/' });
+  assert.equal(payload.event, 'markers.changed');
+  assert.deepEqual(payload.issue, { number: 12, url: ISSUE.html_url, author: 'ada' });
+  assert.equal(payload.timestamp, '2026-02-01T11:00:00.000Z');
+  const [moved, removed] = payload.changes;
+  assert.equal(moved.operation, 'update');
+  assert.deepEqual(moved.kinds, ['moved']);
+  assert.deepEqual(moved.changed_fields, ['geometry']);
+  assert.deepEqual(moved.changes.geometry.after.coordinates, [18.5, -33.9]);
+  assert.equal(moved.page_url, 'https://octo.github.io/maps/markers/cape-town/');
+  assert.equal(removed.page_url, null);
+  assert.match(payload.text, /^Issue #12: Updated "Cape Town" \(cape-town\): moved 7\.\d km\. Removed "Central Library"/);
+});
+
+test('notify.js posts a signed payload that the stand-in server verifies', async (t) => {
+  const { server, received, url } = await listen({ secret: 's3cret' });
+  t.after(() => server.close());
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { after, entries } = history();
+  fs.writeFileSync(path.join(dir, 'history.jsonl'), entries.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+  fs.writeFileSync(path.join(dir, 'markers.geojson'), JSON.stringify(after));
+
+  const env = {
+    MARKER_HISTORY_FILE: path.join(dir, 'history.jsonl'),
+    MARKER_DATA_FILE: path.join(dir, 'markers.geojson'),
+    MARKER_WEBHOOK_URL: url,
+    MARKER_WEBHOOK_SECRET: 's3cret',
+    GITHUB_REPOSITORY: 'octo/maps',
+    MARKER_SITE_URL: '',
+  };
+  const result = await run(['--issue', '12'], env);
+  assert.equal(result.code, 0, result.stderr);
+  assert.match(result.stdout, /Sent 2 change\(s\) for issue #12: HTTP 204/);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].verified, true);
+  assert.equal(received[0].headers['x-marker-event'], 'markers.changed');
+  assert.equal(received[0].payload.repository, 'octo/maps');
+  assert.equal(received[0].payload.changes.length, 2);
+
+  const wrongSecret = await run(['--issue', '12'], { ...env, MARKER_WEBHOOK_SECRET: 'guess' });
+  assert.equal(wrongSecret.code, 1);
+  assert.match(wrongSecret.stderr, /Webhook rejected the payload: HTTP 401\./);
+
+  const otherIssue = await run(['--issue', '13'], env);
+  assert.equal(otherIssue.code, 0);
+  assert.match(otherIssue.stdout, /nothing to send/);
+  assert.equal(received.length, 2);
+});
+
+test('notify.js reads the data files of the working directory, like the other pipeline tools', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const { after, entries } = history();
+  after.features[0].properties.title = 'Cape Town (CT1)';
+  fs.mkdirSync(path.join(dir, 'docs/data'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'docs/data/history.jsonl'), entries.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+  fs.writeFileSync(path.join(dir, 'docs/data/markers.geojson'), JSON.stringify(after));
+
+  const result = await run(['--issue', '12', '--dry-run'], { MARKER_HISTORY_FILE: '', MARKER_DATA_FILE: '' }, dir);
+  assert.equal(result.code, 0, result.stderr);
+  const payload = JSON.parse(result.stdout);
+  assert.equal(payload.changes.length, 2);
+  assert.equal(payload.changes[0].title, 'Cape Town (CT1)');
+});
+
+test('server errors and unreachable receivers are retried, then reported', async (t) => {
+  const { server, received, url } = await listen({ status: 503 });
+  t.after(() => server.close());
+
+  await assert.rejects(postWebhook(url, { event: 'markers.changed' }, { delays: [0, 0] }), /failed after 3 attempts: HTTP 503\./);
+  assert.equal(received.length, 3);
+  assert.equal(received[0].headers[SIGNATURE_HEADER.toLowerCase()], undefined);
+
+  let calls = 0;
+  const flaky = async () => (++calls === 1 ? Promise.reject(new TypeError('fetch failed')) : new Response(null, { status: 200 }));
+  assert.deepEqual(await postWebhook(url, {}, { fetchImpl: flaky, delays: [0] }), { status: 200, attempts: 2 });
+});
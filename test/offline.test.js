@@ -0,0 +1,170 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const vm = require('node:vm');
+const { CACHED_AT_HEADER, DEFAULT_TILES, cachedAt, dataAsOf, resolveTileConfig } = require('../docs/offline');
+
+const DOCS = path.join(__dirname, '../docs');
+const SCOPE = 'https://octo.github.io/maps/';
+
+test('the checked-in tile config selects a usable provider', () => {
+  const config = JSON.parse(fs.readFileSync(path.join(DOCS, 'data/tile_config.json'), 'utf8'));
+  assert.deepEqual(resolveTileConfig(config), { ...DEFAULT_TILES, error: null });
+  assert.deepEqual(resolveTileConfig({ ...config, provider: 'local' }), {
+    provider: 'local',
+    url: './tiles/{z}/{x}/{y}.png',
+    options: { attribution: config.providers.local.attribution, maxZoom: 8, maxNativeZoom: 8 },
+    error: null,
+  });
+});
+
+test('an unusable tile config falls back to OpenStreetMap with the reason', () => {
+  const providers = { mine: { url: 'https://tiles.example.org/{z}/{x}/{y}.png', maxZoom: '12' } };
+  assert.equal(resolveTileConfig({ provider: 'theirs', providers }).error, 'Tile provider "theirs" is not defined.');
+  assert.equal(resolveTileConfig({ provider: 'mine', providers }).error, 'Tile provider "mine": maxZoom must be a number.');
+  assert.equal(
+    resolveTileConfig({ provider: 'mine', providers: { mine: { url: 'https://tiles.example.org/{z}.png' } } }).url,
+    DEFAULT_TILES.url
+  );
+});
+
+test('cached responses say how old their data is', () => {
+  assert.equal(cachedAt(new Response('{}')), null);
+  const stamp = cachedAt(new Response('{}', { headers: { [CACHED_AT_HEADER]: '2026-03-01T09:00:00Z' } }));
+  assert.equal(stamp, '2026-03-01T09:00:00.000Z');
+  assert.match(dataAsOf(stamp, { now: '2026-03-01T12:00:00Z', locale: 'en-US' }), /as of Mar 1, 2026, .* \(3 h ago\)\.$/);
+});
+
+// Runs docs/sw.js against in-memory caches and a stub network. `timer`
+// replaces setTimeout, e.g. to expire the network timeout at once.
+function serviceWorker(network, { timer = (callback, ms) => setTimeout(callback, ms).unref() } = {}) {
+  const handlers = {};
+  const stores = new Map();
+  const keyOf = (request, ignoreSearch) => {
+    const url = new URL(typeof request === 'string' ? request : request.url, SCOPE);
+    if (ignoreSearch) url.search = '';
+    return url.href;
+  };
+  const open = (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    const entries = stores.get(name);
+    return {
+      put: async (request, response) => entries.set(keyOf(request), response),
+      match: async (request, options = {}) => entries.get(keyOf(request, options.ignoreSearch))?.clone(),
+      addAll: async (urls) => Promise.all(urls.map(async (url) => entries.set(keyOf(url), await network(url)))),
+      keys: async () => Array.from(entries.keys()),
+      delete: async (key) => entries.delete(key),
+    };
+  };
+  const context = {
+    self: {
+      addEventListener: (type, handler) => (handlers[type] = handler),
+      registration: { scope: SCOPE },
+      skipWaiting: async () => {},
+      clients: { claim: async () => {} },
+    },
+    caches: { open: async (name) => open(name), keys: async () => Array.from(stores.keys()) },
+    fetch: async (request) => network(typeof request === 'string' ? request : request.url),
+    setTimeout: timer,
+    Headers,
+    Response,
+    URL,
+  };
+  vm.runInNewContext(fs.readFileSync(path.join(DOCS, 'sw.js'), 'utf8'), context);
+
+  const dispatch = async (type, request) => {
+    let response;
+    const waits = [];
+    handlers[type]({
+      request,
+      respondWith: (promise) => (response = promise),
+      waitUntil: (promise) => waits.push(promise),
+    });
+    await Promise.all(waits);
+    return response;
+  };
+  return { dispatch, stores };
+}
+
+test('the service worker serves the last marker data, stamped, when the network fails', async () => {
+  let online = true;
+  const network = async (url) => {
+    if (!online) throw new TypeError('Failed to fetch');
+    return new Response(`body of ${new URL(url, SCOPE).pathname}`, { status: 200 });
+  };
+  const { dispatch, stores } = serviceWorker(network);
+  await dispatch('install');
+  assert.ok(stores.get('markers-shell-v1').has(`${SCOPE}stats.html`));
+
+  const request = { method: 'GET', url: `${SCOPE}data/markers.geojson`, destination: '', mode: 'cors' };
+  const fresh = await dispatch('fetch', request);
+  assert.equal(cachedAt(fresh), null);
+  assert.equal(await fresh.text(), 'body of /maps/data/markers.geojson');
+
+  online = false;
+  const cached = await dispatch('fetch', request);
+  assert.match(cachedAt(cached), /^\d{4}-\d\d-\d\dT/);
+  assert.equal(await cached.text(), 'body of /maps/data/markers.geojson');
+});
+
+test('the service worker caches every local script and stylesheet the pages load', async () => {
+  const { dispatch, stores } = serviceWorker(async () => new Response('ok'));
+  await dispatch('install');
+  const shell = stores.get('markers-shell-v1');
+  for (const page of ['index.html', 'stats.html']) {
+    const html = fs.readFileSync(path.join(DOCS, page), 'utf8');
+    for (const [, file] of html.matchAll(/(?:src|href)="\.\/([^"]+\.(?:js|css))"/g)) {
+      assert.ok(shell.has(`${SCOPE}${file}`), `${page} loads ${file}, which sw.js does not cache`);
+    }
+  }
+});
+
+test('a slow network that fails later is handled, and a miss offline is a 503', async (t) => {
+  const unhandled = [];
+  const onUnhandled = (reason) => unhandled.push(reason);
+  process.on('unhandledRejection', onUnhandled);
+  t.after(() => process.off('unhandledRejection', onUnhandled));
+
+  let failLater;
+  const responses = [new Response('fresh', { status: 200 })];
+  const network = (url) =>
+    responses.length
+      ? Promise.resolve(responses.shift())
+      : new Promise((resolve, reject) => (failLater = () => reject(new TypeError(`Failed to fetch ${url}`))));
+  const { dispatch } = serviceWorker(network, { timer: (callback) => setImmediate(callback) });
+
+  const request = (file) => ({ method: 'GET', url: `${SCOPE}${file}`, destination: '', mode: 'cors' });
+  await dispatch('fetch', request('data/markers.geojson'));
+
+  // The timeout wins, the cached copy is served, then the request fails.
+  const cached = await dispatch('fetch', request('data/markers.geojson'));
+  assert.equal(await cached.text(), 'fresh');
+  failLater();
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(unhandled, []);
+
+  const miss = dispatch('fetch', request('data/tile_config.json'));
+  await new Promise((resolve) => setImmediate(resolve));
+  failLater();
+  const response = await miss;
+  assert.equal(response.status, 503);
+  assert.match(await response.text(), /^Offline/);
+});
+
+test('the shell cache holds only the shell files, whatever their query string', async () => {
+  const { dispatch, stores } = serviceWorker(async (url) => new Response(`body of ${url}`));
+  await dispatch('install');
+  const shell = stores.get('markers-shell-v1');
+  const size = shell.size;
+
+  const get = (file) => dispatch('fetch', { method: 'GET', url: `${SCOPE}${file}`, destination: '', mode: 'cors' });
+  await get('app.js?v=1');
+  await get('app.js?v=2');
+  assert.equal(await get('markers/cape-town/'), undefined, 'other pages are left to the network');
+  assert.equal(shell.size, size);
+  assert.deepEqual(
+    Array.from(shell.keys()).filter((key) => key.includes('?')),
+    []
+  );
+});
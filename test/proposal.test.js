@@ -0,0 +1,185 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const { TEMPLATES, buildProposal, checkProposal, issueUrl, repositoryUrl } = require('../docs/proposal');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURE = path.join(__dirname, 'fixtures/markers.geojson');
+const schema = JSON.parse(fs.readFileSync(path.join(ROOT, 'docs/data/marker_schema.json'), 'utf8'));
+const NOW = '2026-03-01T12:00:00.000Z';
+const SERVICE_KEYS = ['dns', 'swg_dlp', 'firewall', 'zta', 'vpn'];
+
+function dataset() {
+  return JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+}
+
+// The ids of the fields an issue form declares; GitHub prefills only these.
+function templateFields(file) {
+  const yaml = fs.readFileSync(path.join(ROOT, '.github/ISSUE_TEMPLATE', file), 'utf8');
+  return Array.from(yaml.matchAll(/^\s+id:\s*(\S+)\s*$/gm), (match) => match[1]);
+}
+
+// Checks that a prefilled link names an existing template and only fills its fields.
+function params(url, kind) {
+  const { pathname, searchParams } = new URL(url);
+  assert.equal(pathname, '/octo/maps/issues/new');
+  assert.equal(searchParams.get('template'), TEMPLATES[kind].file);
+  const fields = templateFields(TEMPLATES[kind].file);
+  for (const key of searchParams.keys()) {
+    if (key !== 'template' && key !== 'title')
+      assert.ok(fields.includes(key), `${key} is not a field of ${TEMPLATES[kind].file}`);
+  }
+  return Object.fromEntries(searchParams);
+}
+
+test('every template the links use exists and declares a title prefix', () => {
+  for (const { file, title } of Object.values(TEMPLATES)) {
+    const yaml = fs.readFileSync(path.join(ROOT, '.github/ISSUE_TEMPLATE', file), 'utf8');
+    assert.match(yaml, new RegExp(`^title: "${title.replace(/[[\]]/g, '\\$&')}"$`, 'm'));
+  }
+});
+
+test('an add link fills the add form fields, with the title as marker_title', () => {
+  const { feature, fields, subject } = buildProposal(
+    'add',
+    {
+      id: ' harbour-depot ',
+      title: ' Harbour Depot ',
+      description: 'Night shift only.',
+      link: '',
+      category: 'Africa',
+      services: ['dns', 'vpn'],
+      lat: -33.92491234,
+      lng: 18.42412345,
+    },
+    { serviceKeys: SERVICE_KEYS, now: NOW }
+  );
+  assert.deepEqual(feature, {
+    type: 'Feature',
+    properties: {
+      id: 'harbour-depot',
+      title: 'Harbour Depot',
+      description: 'Night shift only.',
+      category: 'Africa',
+      services: { dns: true, swg_dlp: false, firewall: false, zta: false, vpn: true },
+      updated_at: NOW,
+    },
+    geometry: { type: 'Point', coordinates: [18.424123, -33.924912] },
+  });
+
+  const url = issueUrl(repositoryUrl('octo/maps'), 'add', fields, subject);
+  assert.deepEqual(params(url, 'add'), {
+    template: 'add-marker.yml',
+    title: '[Add Marker]: Harbour Depot',
+    id: 'harbour-depot',
+    marker_title: 'Harbour Depot',
+    description: 'Night shift only.',
+    category: 'Africa',
+    services: 'dns, vpn',
+    lat: '-33.924912',
+    lng: '18.424123',
+  });
+});
+
+test('an add without an ID leaves the field blank for the workflow to fill', () => {
+  const { feature, fields } = buildProposal('add', { title: 'Depot', lat: 1, lng: 2 }, { now: NOW });
+  assert.equal(feature.properties.id, 'm-20260301-new');
+  assert.equal(params(issueUrl(repositoryUrl('octo/maps'), 'add', fields), 'add').id, undefined);
+});
+
+test('an update link carries only the changed fields and the version it was based on', () => {
+  const current = dataset().features[0];
+  const { feature, fields, subject, changed } = buildProposal(
+    'update',
+    {
+      title: 'Cape Town 2',
+      description: '',
+      category: 'Africa',
+      services: ['dns', 'swg_dlp', 'zta'],
+      lat: -33.9,
+      lng: 18.4241,
+    },
+    { current, serviceKeys: SERVICE_KEYS, now: NOW }
+  );
+  assert.equal(changed, true);
+  assert.equal(feature.properties.title, 'Cape Town 2');
+  assert.equal(feature.properties.services.zta, true);
+  assert.equal(feature.properties.services.peering_fabric, 'NAPAfrica');
+  assert.deepEqual(feature.geometry.coordinates, [18.4241, -33.9]);
+
+  assert.deepEqual(params(issueUrl(repositoryUrl('octo/maps'), 'update', fields, subject), 'update'), {
+    template: 'update-marker.yml',
+    title: '[Update Marker]: Cape Town',
+    id: 'cape-town',
+    expected_updated_at: '2026-01-01T00:00:00.000Z',
+    marker_title: 'Cape Town 2',
+    services: 'dns, swg_dlp, zta',
+    lat: '-33.9',
+    lng: '18.4241',
+  });
+
+  const cleared = buildProposal('update', { services: [] }, { current, serviceKeys: SERVICE_KEYS, now: NOW });
+  assert.equal(params(issueUrl(repositoryUrl('octo/maps'), 'update', cleared.fields), 'update').services, 'none');
+
+  const same = buildProposal('update', { title: 'Cape Town', lat: -33.9249, lng: 18.4241 }, { current, now: NOW });
+  assert.equal(same.changed, false);
+});
+
+test('a delete link fills the delete form', () => {
+  const url = issueUrl(repositoryUrl('octo/maps'), 'delete', { id: 'cape-town' }, 'Cape Town');
+  assert.deepEqual(params(url, 'delete'), {
+    template: 'delete-marker.yml',
+    title: '[Delete Marker]: Cape Town',
+    id: 'cape-town',
+  });
+});
+
+test('the repository comes from the setting or the Pages address', () => {
+  assert.equal(repositoryUrl('https://github.com/octo/maps/'), 'https://github.com/octo/maps');
+  assert.equal(
+    repositoryUrl('', { hostname: 'octo.github.io', pathname: '/maps/index.html' }),
+    'https://github.com/octo/maps'
+  );
+  assert.equal(
+    repositoryUrl('', { hostname: 'octo.github.io', pathname: '/index.html' }),
+    'https://github.com/octo/octo.github.io'
+  );
+  assert.equal(repositoryUrl('', { hostname: 'localhost', pathname: '/' }), null);
+});
+
+test('proposals without usable coordinates are rejected before the schema checks', () => {
+  const { features } = dataset();
+  const missing = buildProposal('add', { title: 'Depot' }, { now: NOW }).feature;
+  assert.deepEqual(checkProposal(missing, features, schema), [
+    { severity: 'error', label: 'Location', message: 'is required. Click the map or enter latitude and longitude.' },
+  ]);
+
+  const typo = buildProposal('add', { title: 'Depot', lat: Number('51,5'), lng: 0 }, { now: NOW }).feature;
+  assert.deepEqual(checkProposal(typo, features, schema), [
+    { severity: 'error', label: 'Location', message: 'latitude and longitude must be numbers.' },
+  ]);
+});
+
+test('a taken ID is an error and a site within the duplicate radius is a warning', () => {
+  const { features } = dataset();
+  const { feature } = buildProposal(
+    'add',
+    { id: 'cape-town', title: 'Depot', lat: -33.925, lng: 18.4245 },
+    { now: NOW }
+  );
+  const issues = checkProposal(feature, features, schema);
+  assert.deepEqual(issues[0], { severity: 'error', label: 'Marker ID', message: 'is already used by another marker.' });
+  assert.equal(issues.at(-1).severity, 'warning');
+  assert.match(issues.at(-1).message, /^is \d+ m from "Cape Town" \(cape-town\)\. .*"Distinct site"/);
+
+  const far = buildProposal('add', { id: 'depot', title: 'Depot', lat: -33.925, lng: 18.4245 }, { now: NOW }).feature;
+  assert.deepEqual(checkProposal(far, features, schema, { duplicateRadius: 10 }), []);
+});
+
+test('an update is checked against the other markers only', () => {
+  const { features } = dataset();
+  const current = features[0];
+  const { feature } = buildProposal('update', { title: 'Cape Town 2' }, { current, now: NOW });
+  assert.deepEqual(checkProposal(feature, features, schema, { current }), []);
+});
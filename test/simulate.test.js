@@ -0,0 +1,96 @@
+const assert = require('node:assert/strict');
+const { execFileSync, spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+const NOW = '2026-03-01T12:00:00.000Z';
+
+// A scratch copy of the fixture dataset plus empty history and ledger, with
+// the environment that points the tools at it.
+function workspace(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'markers-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.copyFileSync(path.join(FIXTURES, 'markers.geojson'), path.join(dir, 'markers.geojson'));
+  return {
+    dir,
+    env: {
+      ...process.env,
+      MARKER_DATA_FILE: path.join(dir, 'markers.geojson'),
+      MARKER_HISTORY_FILE: path.join(dir, 'history.jsonl'),
+      MARKER_LEDGER_FILE: path.join(dir, 'issue_ledger.json'),
+      MARKER_RESULT_FILE: path.join(dir, 'last_result.json'),
+      MARKER_NOW: NOW,
+    },
+  };
+}
+
+test('simulate prints the diff of an issue without writing anything', (t) => {
+  const { dir, env } = workspace(t);
+  const output = execFileSync(
+    process.execPath,
+    ['tools/simulate.js', path.join(FIXTURES, 'issues/update.md'), '--label', 'marker-update', '--number', '7', '--format', 'json'],
+    { cwd: ROOT, env, encoding: 'utf8' }
+  );
+
+  const { result, changes } = JSON.parse(output);
+  assert.deepEqual(result, { ok: true, message: 'Updated marker "cape-town".' });
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].timestamp, NOW);
+  assert.equal(changes[0].issue, 7);
+  assert.deepEqual(changes[0].changes.title, { before: 'Cape Town', after: 'Cape Town (Multi-AZ)' });
+
+  assert.deepEqual(fs.readdirSync(dir), ['markers.geojson']);
+  assert.equal(
+    fs.readFileSync(path.join(dir, 'markers.geojson'), 'utf8'),
+    fs.readFileSync(path.join(FIXTURES, 'markers.geojson'), 'utf8')
+  );
+});
+
+test('simulate reads the body from stdin and exits non-zero on failure', (t) => {
+  const { env } = workspace(t);
+  const run = spawnSync(process.execPath, ['tools/simulate.js', '-', '--label', 'marker-delete,marker-approved'], {
+    cwd: ROOT,
+    env,
+    encoding: 'utf8',
+    input: fs.readFileSync(path.join(FIXTURES, 'issues/delete-unconfirmed.md')),
+  });
+  assert.equal(run.status, 1);
+  assert.equal(run.stdout.trim(), '❌ Delete confirmation checkbox must be checked.');
+});
+
+test('apply_marker_issue writes to the configured files with the configured clock', (t) => {
+  const { dir, env } = workspace(t);
+  const eventPath = path.join(dir, 'event.json');
+  const issue = {
+    number: 9,
+    html_url: 'https://github.com/octo/maps/issues/9',
+    created_at: '2026-02-14T09:30:00Z',
+    body: fs.readFileSync(path.join(FIXTURES, 'issues/add.md'), 'utf8'),
+    labels: [{ name: 'marker-add' }],
+    user: { login: 'octo' },
+    author_association: 'OWNER',
+  };
+  fs.writeFileSync(eventPath, JSON.stringify({ issue, sender: { login: 'octo' } }));
+
+  execFileSync(process.execPath, ['tools/apply_marker_issue.js'], {
+    cwd: ROOT,
+    env: { ...env, GITHUB_EVENT_PATH: eventPath },
+    encoding: 'utf8',
+  });
+
+  const read = (name) => fs.readFileSync(path.join(dir, name), 'utf8');
+  assert.deepEqual(JSON.parse(read('last_result.json')), { ok: true, message: 'Added marker "m-20260214-9".' });
+  const added = JSON.parse(read('markers.geojson')).features.find((f) => f.properties.id === 'm-20260214-9');
+  assert.equal(added.properties.updated_at, NOW);
+
+  const [entry] = read('history.jsonl').trim().split('\n').map((line) => JSON.parse(line));
+  assert.equal(entry.timestamp, NOW);
+  assert.equal(entry.issue_url, issue.html_url);
+  assert.deepEqual(JSON.parse(read('issue_ledger.json'))[9].markers, {
+    'm-20260214-9': { base_revision: null, revision: NOW },
+  });
+});
@@ -0,0 +1,82 @@
+const assert = require('node:assert/strict');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const { computeStats } = require('../docs/stats');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURE = path.join(__dirname, 'fixtures/markers.geojson');
+const NOW = '2026-03-01T12:00:00.000Z';
+
+function features() {
+  return JSON.parse(fs.readFileSync(FIXTURE, 'utf8')).features;
+}
+
+test('counts sites per region, country and service', () => {
+  const stats = computeStats(features(), { now: NOW });
+  assert.equal(stats.total, 3);
+  assert.equal(stats.with_services, 1);
+  assert.equal(stats.without_country, 2);
+  assert.deepEqual(
+    stats.regions.map((region) => [region.name, region.count]),
+    [
+      ['Africa', 1],
+      ['education', 1],
+      ['Europe', 1],
+    ]
+  );
+  assert.deepEqual(stats.countries, [
+    {
+      name: 'South Africa',
+      count: 1,
+      with_services: 1,
+      services: { dns: 1, swg_dlp: 1, firewall: 0, zta: 0, vpn: 0, meraki_auto_vpn: 0 },
+      region: 'Africa',
+    },
+  ]);
+  assert.deepEqual(stats.services[0], { key: 'dns', label: 'DNS', count: 1, share: 100 });
+});
+
+test('lists groups with service data but no site offering a service as gaps', () => {
+  const stats = computeStats(features(), { now: NOW });
+  assert.deepEqual(stats.gaps.regions.dns, []);
+  assert.deepEqual(stats.gaps.regions.zta, ['Africa']);
+  assert.deepEqual(stats.gaps.countries.firewall, ['South Africa']);
+});
+
+test('buckets sites by the age of updated_at and leaves out removed imports', () => {
+  const data = features();
+  data[2].properties.updated_at = '2024-12-31T00:00:00.000Z';
+  data.push({
+    type: 'Feature',
+    properties: { id: 'gone', title: 'Gone', import_status: 'removed', updated_at: NOW },
+    geometry: { type: 'Point', coordinates: [0, 0] },
+  });
+  data.push({ type: 'Feature', properties: { id: 'undated', title: 'Undated' }, geometry: null });
+
+  const { total, freshness } = computeStats(data, { now: NOW });
+  assert.equal(total, 4);
+  assert.deepEqual(
+    freshness.buckets.map((bucket) => bucket.count),
+    [0, 0, 2, 0, 0, 1]
+  );
+  assert.equal(freshness.unknown, 1);
+  assert.equal(freshness.newest, '2026-01-02T00:00:00.000Z');
+  assert.equal(freshness.oldest, '2024-12-31T00:00:00.000Z');
+  assert.equal(freshness.median_age_days, 59.5);
+});
+
+test('the stats CLI prints the same numbers as JSON and as Markdown', () => {
+  const run = (format) =>
+    execFileSync(process.execPath, ['tools/stats.js', '--file', FIXTURE, '--format', format, '--now', NOW], {
+      cwd: ROOT,
+      encoding: 'utf8',
+    });
+
+  assert.deepEqual(JSON.parse(run('json')), computeStats(features(), { now: NOW }));
+  const markdown = run('markdown');
+  assert.match(markdown, /^Generated 2026-03-01T12:00:00\.000Z: 3 sites in 1 country and 3 regions\./m);
+  assert.match(markdown, /^\| South Africa \| Africa \| 1 \| 1 \| 1 \| 0 \| 0 \| 0 \| 0 \|$/m);
+  assert.match(markdown, /^\| ZTA \| Africa \| South Africa \|$/m);
+});
@@ -0,0 +1,72 @@
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const { validateDataset, validateGeoJSON } = require('../tools/validate_geojson');
+
+function dataset() {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures/markers.geojson'), 'utf8'));
+}
+
+test('the fixture dataset is valid', () => {
+  assert.deepEqual(validateGeoJSON(dataset()), []);
+  assert.deepEqual(validateDataset(dataset()), { errors: [], warnings: [] });
+});
+
+test('rejects anything but a FeatureCollection', () => {
+  assert.deepEqual(validateGeoJSON({ type: 'Feature' }), [
+    'Root object must be a GeoJSON FeatureCollection with a features array.',
+  ]);
+});
+
+test('reports schema violations per feature and field', () => {
+  const data = dataset();
+  data.features[1].properties.title = '';
+  data.features[1].properties.link = 'ftp://example.org';
+  delete data.features[2].properties.id;
+
+  assert.deepEqual(validateGeoJSON(data), [
+    'feature[1] (central-library): properties.title must not be empty.',
+    'feature[1] (central-library): properties.link must be a valid http/https URL.',
+    'feature[2]: properties.id is required.',
+  ]);
+});
+
+test('reports duplicate IDs on the later feature', () => {
+  const data = dataset();
+  data.features[2].properties.id = 'cape-town';
+  assert.deepEqual(validateGeoJSON(data), ['feature[2] (cape-town): properties.id duplicates feature[0].']);
+});
+
+test('checks point ranges and polygon rings', () => {
+  const data = dataset();
+  data.features[1].geometry.coordinates = [-0.1276, 95];
+  data.features[2].geometry.coordinates[0].pop();
+
+  assert.deepEqual(validateGeoJSON(data), [
+    'feature[1] (central-library): geometry latitude must be a number in [-90, 90].',
+    'feature[2] (zone-eu): geometry coordinates[0] must be closed (first and last positions equal).',
+  ]);
+});
+
+test('warns without failing about unknown categories, swapped coordinates and near-duplicates', () => {
+  const data = dataset();
+  data.features[1].properties.category = 'libraries';
+  data.features[0].geometry.coordinates = [-33.9249, 18.4241];
+  data.features.push({
+    type: 'Feature',
+    properties: { id: 'library-copy', title: 'Central Library', updated_at: '2026-01-02T00:00:00.000Z' },
+    geometry: { type: 'Point', coordinates: [-0.1276, 51.5073] },
+  });
+
+  const { errors, warnings } = validateDataset(data);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(
+    warnings.map((warning) => [warning.id, warning.rule]).sort(),
+    [
+      ['cape-town', 'swapped-coordinates'],
+      ['central-library', 'enum'],
+      ['library-copy', 'near-duplicate'],
+    ]
+  );
+});
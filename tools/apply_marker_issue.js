@@ -3,18 +3,57 @@ const fs = require('node:fs');
 const path = require('node:path');
 const crypto = require('node:crypto');
 const { parseIssueFormBody } = require('./issue_parser');
-const { validateGeoJSON } = require('./validate_geojson');
+const { formatIssue, loadSchema, validateDataset, validateGeoJSON } = require('./validate_geojson');
+const { findAttachmentUrl, parseBulkPayload } = require('./bulk_markers');
+const { appendHistory, buildHistoryEntries, diffCollections, readHistory } = require('./history');
+const { createGitSnapshots } = require('./git_snapshots');
+const { approvalLabelOf, evaluatePolicy, loadPolicy } = require('./policy');
+const { describeGeometry, parseGeometry } = require('./geometry');
+const { DEFAULT_RADIUS_METERS, findPossibleDuplicates, formatDistance } = require('./duplicates');
+const { LEDGER_FILE, findConflicts, ledgerRecord, loadLedger, requestHash, revertIssue, saveLedger } = require('./ledger');
 
 const ROOT = process.cwd();
 const DATA_FILE = path.join(ROOT, 'docs/data/markers.geojson');
 const RESULT_FILE = path.join(ROOT, 'tools/last_result.json');
+const HISTORY_FILE = path.join(ROOT, 'docs/data/history.jsonl');
+
+// The files a run reads and writes. Local runs and tests can point each one
+// elsewhere with MARKER_DATA_FILE, MARKER_HISTORY_FILE, MARKER_LEDGER_FILE and
+// MARKER_RESULT_FILE.
+function pipelineFiles(env = process.env) {
+  const pick = (name, fallback) => (env[name] ? path.resolve(env[name]) : fallback);
+  return {
+    data: pick('MARKER_DATA_FILE', DATA_FILE),
+    history: pick('MARKER_HISTORY_FILE', HISTORY_FILE),
+    ledger: pick('MARKER_LEDGER_FILE', LEDGER_FILE),
+    result: pick('MARKER_RESULT_FILE', RESULT_FILE),
+  };
+}
+
+// The time stamped on changed markers, history entries and the ledger.
+// MARKER_NOW fixes it so that runs can be repeated exactly.
+function resolveNow(env = process.env) {
+  if (!env.MARKER_NOW) return new Date().toISOString();
+  const time = Date.parse(env.MARKER_NOW);
+  if (Number.isNaN(time)) throw new Error(`MARKER_NOW "${env.MARKER_NOW}" is not a valid timestamp.`);
+  return new Date(time).toISOString();
+}
+
+function fail(message, details) {
+  return details ? { ok: false, message, details } : { ok: false, message };
+}
 
-function fail(message) {
-  return { ok: false, message };
+function pending(message, details) {
+  return details ? { ok: false, pending: true, message, details } : { ok: false, pending: true, message };
 }
 
-function success(message) {
-  return { ok: true, message };
+function success(message, details) {
+  return details ? { ok: true, message, details } : { ok: true, message };
+}
+
+// Nothing to do: the issue was already applied exactly as it reads now.
+function unchanged(message) {
+  return { ok: true, unchanged: true, message };
 }
 
 function cleanOptional(value) {
@@ -42,8 +81,45 @@ function validateCoordinateRange(lat, lng) {
   }
 }
 
-function generateId(issueNumber) {
-  const now = new Date();
+// Lines and areas come in through the Geometry field as GeoJSON or WKT;
+// latitude/longitude stay the way to give a point.
+function parseGeometryField(parsed, lat, lng) {
+  const text = cleanOptional(getField(parsed, 'geometry'));
+  if (!text) return undefined;
+  if (lat !== undefined || lng !== undefined) {
+    throw new Error('Give either latitude/longitude or a geometry, not both.');
+  }
+  return parseGeometry(text);
+}
+
+// The on/off services from the marker schema (dns, zta, ...).
+const SERVICE_KEYS = Object.entries(loadSchema().properties.services.properties)
+  .filter(([, schema]) => schema.type === 'boolean')
+  .map(([key]) => key);
+
+// "dns, SWG & DLP, zta" -> { dns: true, swg_dlp: true, zta: true, ... } with
+// every other service false. "none" turns all of them off.
+function parseServicesField(parsed) {
+  const text = cleanOptional(getField(parsed, 'services'));
+  if (!text) return undefined;
+
+  const names = /^none$/i.test(text)
+    ? []
+    : text
+        .split(/[,\n]/)
+        .map((name) => name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''))
+        .filter(Boolean);
+  const unknown = names.filter((name) => !SERVICE_KEYS.includes(name));
+  if (unknown.length) {
+    throw new Error(`Unknown service(s): ${unknown.join(', ')}. Use any of: ${SERVICE_KEYS.join(', ')}.`);
+  }
+  return Object.fromEntries(SERVICE_KEYS.map((key) => [key, names.includes(key)]));
+}
+
+// Based on when the issue was opened, so re-applying an edited issue yields
+// the same ID.
+function generateId(issueNumber, createdAt) {
+  const now = createdAt ? new Date(createdAt) : new Date();
   const y = now.getUTCFullYear();
   const m = String(now.getUTCMonth() + 1).padStart(2, '0');
   const d = String(now.getUTCDate()).padStart(2, '0');
@@ -64,6 +140,8 @@ function parseIssueType(labels = []) {
   if (names.includes('marker-add')) return 'add';
   if (names.includes('marker-update')) return 'update';
   if (names.includes('marker-delete')) return 'delete';
+  if (names.includes('marker-bulk')) return 'bulk';
+  if (names.includes('marker-restore')) return 'restore';
   return null;
 }
 
@@ -71,119 +149,174 @@ function getField(parsed, key) {
   return parsed[key]?.value;
 }
 
-function applyMutation(issue, geojson) {
-  const parsed = parseIssueFormBody(issue.body || '');
-  const issueType = parseIssueType(issue.labels || []);
+function applyAdd(
+  parsed,
+  issue,
+  geojson,
+  {
+    duplicateRadius = DEFAULT_RADIUS_METERS,
+    distinctHint = 'tick "This is a distinct site" and edit the issue',
+    now = new Date().toISOString(),
+  } = {}
+) {
+  const title = cleanOptional(getField(parsed, 'title'));
+  const idValue = cleanOptional(getField(parsed, 'marker_id')) || cleanOptional(getField(parsed, 'id'));
+  const description = cleanOptional(getField(parsed, 'description'));
+  const link = cleanOptional(getField(parsed, 'link'));
+  const category = cleanOptional(getField(parsed, 'category'));
+  const icon = cleanOptional(getField(parsed, 'icon'));
+
+  if (!title) return fail('Title is required for Add Marker issues.');
+
+  let lat;
+  let lng;
+  let geometry;
+  let services;
+  try {
+    lat = parseNumber(cleanOptional(getField(parsed, 'latitude')) || cleanOptional(getField(parsed, 'lat')), 'Latitude');
+    lng = parseNumber(cleanOptional(getField(parsed, 'longitude')) || cleanOptional(getField(parsed, 'lng')), 'Longitude');
+    validateCoordinateRange(lat, lng);
+    geometry = parseGeometryField(parsed, lat, lng);
+    services = parseServicesField(parsed);
+  } catch (err) {
+    return fail(err.message);
+  }
 
-  if (!issueType) return fail('Issue is missing one of marker-add, marker-update, or marker-delete labels.');
-
-  if (issueType === 'add') {
-    const title = cleanOptional(getField(parsed, 'title'));
-    const idValue = cleanOptional(getField(parsed, 'marker_id')) || cleanOptional(getField(parsed, 'id'));
-    const description = cleanOptional(getField(parsed, 'description'));
-    const link = cleanOptional(getField(parsed, 'link'));
-    const category = cleanOptional(getField(parsed, 'category'));
-    const icon = cleanOptional(getField(parsed, 'icon'));
-
-    if (!title) return fail('Title is required for Add Marker issues.');
-
-    let lat;
-    let lng;
-    try {
-      lat = parseNumber(cleanOptional(getField(parsed, 'latitude')) || cleanOptional(getField(parsed, 'lat')), 'Latitude');
-      lng = parseNumber(cleanOptional(getField(parsed, 'longitude')) || cleanOptional(getField(parsed, 'lng')), 'Longitude');
-      validateCoordinateRange(lat, lng);
-    } catch (err) {
-      return fail(err.message);
-    }
+  if (!geometry && (lat === undefined || lng === undefined)) {
+    return fail('Latitude and longitude (or a geometry) are required for Add Marker issues.');
+  }
 
-    if (lat === undefined || lng === undefined) {
-      return fail('Latitude and longitude are required for Add Marker issues.');
-    }
+  const id = idValue || generateId(issue.number, issue.created_at || now);
+  if (geojson.features.some((f) => f?.properties?.id === id)) {
+    return fail(`A marker with id "${id}" already exists.`);
+  }
 
-    const id = idValue || generateId(issue.number);
-    if (geojson.features.some((f) => f?.properties?.id === id)) {
-      return fail(`A marker with id "${id}" already exists.`);
+  const feature = {
+    type: 'Feature',
+    properties: {
+      id,
+      title,
+      description,
+      link,
+      category,
+      icon,
+      services,
+      updated_at: now,
+    },
+    geometry: geometry || {
+      type: 'Point',
+      coordinates: [lng, lat],
+    },
+  };
+
+  Object.keys(feature.properties).forEach((k) => feature.properties[k] === undefined && delete feature.properties[k]);
+
+  if (!parsed.distinct_site?.checked) {
+    const duplicates = findPossibleDuplicates(feature, geojson.features, { radius: duplicateRadius });
+    if (duplicates.length) {
+      const [closest] = duplicates;
+      const lines = ['| Marker | Title | Distance | Why |', '| --- | --- | --- | --- |'];
+      for (const match of duplicates.slice(0, 5)) {
+        const props = match.feature.properties || {};
+        lines.push(
+          `| ${escapeTableCell(props.id)} | ${escapeTableCell(props.title || '')} | ${formatDistance(match.distance)} | ${match.reasons.join(', ')} |`
+        );
+      }
+      return fail(
+        `Possible duplicate of "${closest.feature.properties?.id}" (${closest.reasons.join(', ')}). ` +
+          `If this is a different site, ${distinctHint}.`,
+        lines.join('\n')
+      );
     }
+  }
 
-    const now = new Date().toISOString();
-    const feature = {
-      type: 'Feature',
-      properties: {
-        id,
-        title,
-        description,
-        link,
-        category,
-        icon,
-        updated_at: now,
-      },
-      geometry: {
-        type: 'Point',
-        coordinates: [lng, lat],
-      },
-    };
-
-    Object.keys(feature.properties).forEach((k) => feature.properties[k] === undefined && delete feature.properties[k]);
-
-    geojson.features.push(feature);
-    stableSortFeatures(geojson.features);
-    return success(`Added marker "${id}".`);
-  }
-
-  if (issueType === 'update') {
-    const id = cleanOptional(getField(parsed, 'marker_id')) || cleanOptional(getField(parsed, 'id'));
-    if (!id) return fail('Marker ID is required for Update Marker issues.');
-
-    const target = geojson.features.find((f) => f?.properties?.id === id);
-    if (!target) return fail(`Marker with id "${id}" was not found.`);
-
-    const props = target.properties || {};
-    const title = cleanOptional(getField(parsed, 'title'));
-    const description = cleanOptional(getField(parsed, 'description'));
-    const link = cleanOptional(getField(parsed, 'link'));
-    const category = cleanOptional(getField(parsed, 'category'));
-    const icon = cleanOptional(getField(parsed, 'icon'));
-    const focus = parsed.optional_map_behavior?.checked || parsed.recenter_map_to_this_marker_on_load_sets_properties_focus_on_load_true?.checked;
-
-    let lat;
-    let lng;
-    try {
-      lat = parseNumber(cleanOptional(getField(parsed, 'latitude')) || cleanOptional(getField(parsed, 'lat')), 'Latitude');
-      lng = parseNumber(cleanOptional(getField(parsed, 'longitude')) || cleanOptional(getField(parsed, 'lng')), 'Longitude');
-      validateCoordinateRange(lat, lng);
-    } catch (err) {
-      return fail(err.message);
-    }
+  geojson.features.push(feature);
+  stableSortFeatures(geojson.features);
+  return success(`Added marker "${id}".`);
+}
 
-    if (title !== undefined) props.title = title;
-    if (description !== undefined) props.description = description;
-    if (link !== undefined) props.link = link;
-    if (category !== undefined) props.category = category;
-    if (icon !== undefined) props.icon = icon;
-    if (focus) props.focus_on_load = true;
-
-    if (lat !== undefined || lng !== undefined) {
-      const currentLng = target.geometry?.coordinates?.[0];
-      const currentLat = target.geometry?.coordinates?.[1];
-      const nextLng = lng !== undefined ? lng : currentLng;
-      const nextLat = lat !== undefined ? lat : currentLat;
-      validateCoordinateRange(nextLat, nextLng);
-      target.geometry = { type: 'Point', coordinates: [nextLng, nextLat] };
+function applyUpdate(parsed, geojson, { now = new Date().toISOString() } = {}) {
+  const id = cleanOptional(getField(parsed, 'marker_id')) || cleanOptional(getField(parsed, 'id'));
+  if (!id) return fail('Marker ID is required for Update Marker issues.');
+
+  const target = geojson.features.find((f) => f?.properties?.id === id);
+  if (!target) return fail(`Marker with id "${id}" was not found.`);
+
+  const props = target.properties || {};
+  const title = cleanOptional(getField(parsed, 'title'));
+  const description = cleanOptional(getField(parsed, 'description'));
+  const link = cleanOptional(getField(parsed, 'link'));
+  const category = cleanOptional(getField(parsed, 'category'));
+  const icon = cleanOptional(getField(parsed, 'icon'));
+  const focus = parsed.optional_map_behavior?.checked || parsed.recenter_map_to_this_marker_on_load_sets_properties_focus_on_load_true?.checked;
+
+  // The author states which version of the marker they edited; if it has
+  // changed since, their values would overwrite someone else's.
+  const expected = cleanOptional(getField(parsed, 'expected_updated_at'));
+  if (expected !== undefined) {
+    if (Number.isNaN(Date.parse(expected))) return fail(`Expected updated_at "${expected}" is not a valid timestamp.`);
+    if (Date.parse(expected) !== Date.parse(props.updated_at)) {
+      return fail(
+        `Marker "${id}" has changed since ${expected} (it was last updated ${props.updated_at || 'at an unknown time'}). ` +
+          'Check its current values, then set Expected updated_at to the new value to apply your change.'
+      );
     }
+  }
 
-    props.updated_at = new Date().toISOString();
-    target.properties = props;
-    return success(`Updated marker "${id}".`);
+  let lat;
+  let lng;
+  let geometry;
+  let services;
+  try {
+    lat = parseNumber(cleanOptional(getField(parsed, 'latitude')) || cleanOptional(getField(parsed, 'lat')), 'Latitude');
+    lng = parseNumber(cleanOptional(getField(parsed, 'longitude')) || cleanOptional(getField(parsed, 'lng')), 'Longitude');
+    validateCoordinateRange(lat, lng);
+    geometry = parseGeometryField(parsed, lat, lng);
+    services = parseServicesField(parsed);
+  } catch (err) {
+    return fail(err.message);
+  }
+
+  const currentType = target.geometry?.type;
+  if ((lat !== undefined) !== (lng !== undefined) && currentType !== 'Point') {
+    return fail(`Marker "${id}" is a ${currentType}; give both latitude and longitude, or use the Geometry field.`);
+  }
+
+  if (title !== undefined) props.title = title;
+  if (description !== undefined) props.description = description;
+  if (link !== undefined) props.link = link;
+  if (category !== undefined) props.category = category;
+  if (icon !== undefined) props.icon = icon;
+  // Other service details, such as peering_fabric, are kept.
+  if (services !== undefined) props.services = { ...props.services, ...services };
+  if (focus) props.focus_on_load = true;
+
+  if (lat !== undefined || lng !== undefined) {
+    const currentLng = target.geometry?.coordinates?.[0];
+    const currentLat = target.geometry?.coordinates?.[1];
+    const nextLng = lng !== undefined ? lng : currentLng;
+    const nextLat = lat !== undefined ? lat : currentLat;
+    validateCoordinateRange(nextLat, nextLng);
+    target.geometry = { type: 'Point', coordinates: [nextLng, nextLat] };
   }
+  if (geometry) target.geometry = geometry;
+
+  props.updated_at = now;
+  target.properties = props;
+  return success(`Updated marker "${id}".`);
+}
 
+function applyDelete(parsed, geojson) {
   const id = cleanOptional(getField(parsed, 'marker_id')) || cleanOptional(getField(parsed, 'id'));
   if (!id) return fail('Marker ID is required for Delete Marker issues.');
 
+  // The text fallback is for bodies written by hand; an unticked checkbox
+  // still reads "I understand ..." and must not count.
+  const confirmation = parsed.confirmation;
   const confirm =
-    parsed.confirmation?.checked ||
+    confirmation?.checked ||
     parsed.confirm_delete?.checked ||
-    /understand/i.test(cleanOptional(getField(parsed, 'confirmation')) || '');
+    (!/- \[ \]/.test(confirmation?.raw || '') && /understand/i.test(cleanOptional(confirmation?.value) || ''));
 
   if (!confirm) {
     return fail('Delete confirmation checkbox must be checked.');
@@ -199,49 +332,421 @@ function applyMutation(issue, geojson) {
   return success(`Deleted marker "${id}".`);
 }
 
-function main() {
+function formatRestoreValue(value) {
+  if (value === null || value === undefined) return '(none)';
+  if (value?.type && Array.isArray(value.coordinates)) return describeGeometry(value);
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Finds the version of a Restore Marker issue's marker that it asks for, as
+// { id, target, label, previous }, or { error } when there is none.
+function findRestoreTarget(parsed, snapshots) {
+  const id = cleanOptional(getField(parsed, 'marker_id')) || cleanOptional(getField(parsed, 'id'));
+  if (!id) return { error: 'Marker ID is required for Restore Marker issues.' };
+
+  const issueRef = cleanOptional(getField(parsed, 'restore_to_before_issue'))?.replace(/^#/, '');
+  const timestamp = cleanOptional(getField(parsed, 'restore_to_before_timestamp'));
+  if (!issueRef && !timestamp) return { error: 'Provide an issue number or a timestamp to restore to.' };
+  if (issueRef && !/^\d+$/.test(issueRef)) return { error: `"${issueRef}" is not an issue number.` };
+  if (timestamp && Number.isNaN(Date.parse(timestamp))) return { error: `"${timestamp}" is not a valid timestamp.` };
+
+  const target = issueRef ? snapshots.beforeIssue(issueRef) : snapshots.beforeTimestamp(timestamp);
+  const label = issueRef ? `before issue #${issueRef}` : `before ${timestamp}`;
+  if (!target) return { error: `No version of markers.geojson was found ${label}.` };
+
+  const previous = (target.geojson.features || []).find((f) => f?.properties?.id === id);
+  if (!previous) return { error: `Marker "${id}" did not exist ${label}.` };
+  return { id, target, label, previous };
+}
+
+// Restores a marker to how it looked in an earlier version of markers.geojson,
+// taken from git history just before the given issue was applied or before
+// the given timestamp.
+function applyRestore(parsed, geojson, snapshots, { now = new Date().toISOString() } = {}) {
+  const { error, id, target, label, previous } = findRestoreTarget(parsed, snapshots);
+  if (error) return fail(error);
+
+  const index = geojson.features.findIndex((f) => f?.properties?.id === id);
+  if (index !== -1) {
+    // If the ID vanished at some point after the target, the marker that has
+    // it now is a different site and must not be overwritten.
+    const gap = snapshots.after(target).find((snapshot) => !(snapshot.geojson.features || []).some((f) => f?.properties?.id === id));
+    if (gap) {
+      return fail(`Marker id "${id}" was deleted in ${gap.sha.slice(0, 7)} and has since been reused; refusing to restore.`);
+    }
+  }
+
+  const current = index === -1 ? null : geojson.features[index];
+  const restored = JSON.parse(JSON.stringify(previous));
+  restored.properties.updated_at = now;
+
+  const [diff] = diffCollections(
+    { features: current ? [current] : [] },
+    { features: [restored] }
+  );
+  if (!diff) return fail(`Marker "${id}" already matches its state ${label}.`);
+
+  if (index === -1) geojson.features.push(restored);
+  else geojson.features[index] = restored;
+  stableSortFeatures(geojson.features);
+
+  const lines = ['| Field | Current | Restored |', '| --- | --- | --- |'];
+  for (const [field, change] of Object.entries(diff.changes)) {
+    lines.push(
+      `| ${escapeTableCell(field)} | ${escapeTableCell(formatRestoreValue(change.before))} | ${escapeTableCell(
+        formatRestoreValue(change.after)
+      )} |`
+    );
+  }
+
+  const summary =
+    index === -1 ? `Re-created deleted marker "${id}" from its state ${label}.` : `Restored marker "${id}" to its state ${label}.`;
+  return success(summary, lines.join('\n'));
+}
+
+function escapeTableCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function outcomeTable(outcomes) {
+  const lines = ['| Row | Action | Result | Message |', '| --- | --- | --- | --- |'];
+  for (const outcome of outcomes) {
+    lines.push(
+      `| ${escapeTableCell(outcome.ref)} | ${outcome.action} | ${outcome.ok ? '✅' : '❌'} | ${escapeTableCell(outcome.message)} |`
+    );
+  }
+  return lines.join('\n');
+}
+
+// Bulk rows go through the same add/update/delete paths as single issues, on a
+// copy of the dataset; the copy only replaces the real one if every row succeeds.
+function applyBulk(parsed, issue, geojson, options) {
+  const payload = parsed.markers?.value || '';
+  const { rows, errors } = parseBulkPayload(payload);
+  if (errors.length) {
+    return fail('Bulk payload could not be read. No markers were changed.', errors.map((e) => `- ${e}`).join('\n'));
+  }
+
+  const confirmDeletes = Boolean(parsed.confirm_deletions?.checked || parsed.confirmation?.checked);
+  const addOptions = { ...options, distinctHint: 'set its distinct_site column to yes' };
+  const working = JSON.parse(JSON.stringify(geojson));
+  const outcomes = [];
+
+  rows.forEach((row, index) => {
+    const rowParsed = {};
+    for (const [key, value] of Object.entries(row.fields)) {
+      rowParsed[key] = { raw: value, value: value || '', checked: false };
+    }
+    rowParsed.confirm_delete = { raw: '', value: '', checked: confirmDeletes };
+    rowParsed.distinct_site = { raw: '', value: '', checked: /^(?:y|yes|true|1|x)$/i.test(row.fields.distinct_site || '') };
+
+    let outcome;
+    if (row.action === 'add') outcome = applyAdd(rowParsed, { ...issue, number: `${issue.number}-${index + 1}` }, working, addOptions);
+    else if (row.action === 'update') outcome = applyUpdate(rowParsed, working, options);
+    else outcome = applyDelete(rowParsed, working);
+
+    outcomes.push({ ref: row.ref, action: row.action, ...outcome });
+  });
+
+  const table = outcomeTable(outcomes);
+  const failed = outcomes.filter((outcome) => !outcome.ok);
+  if (failed.length) {
+    return fail(`Bulk change rejected: ${failed.length} of ${outcomes.length} row(s) failed. No markers were changed.`, table);
+  }
+
+  const validationErrors = validateGeoJSON(working);
+  if (validationErrors.length) {
+    return fail(`Bulk change rejected: GeoJSON validation failed: ${validationErrors.join(' | ')}`, table);
+  }
+
+  geojson.features = working.features;
+  const counts = ['add', 'update', 'delete'].map((action) => outcomes.filter((o) => o.action === action).length);
+  return success(
+    `Applied ${outcomes.length} bulk operation(s): ${counts[0]} added, ${counts[1]} updated, ${counts[2]} deleted.`,
+    table
+  );
+}
+
+function markerCategory(geojson, id) {
+  return geojson.features.find((f) => f?.properties?.id === id)?.properties?.category;
+}
+
+// Lists what the issue wants to change as { operation, id, categories } so the
+// policy can check every marker touched, including both the current and the
+// requested category of an update. A restore brings back the category of the
+// version it restores, which a deleted marker only has in git history.
+function policyRequests(issueType, parsed, geojson, snapshots) {
+  const describe = (operation, fields, restoredCategory) => {
+    const id = cleanOptional(fields.marker_id?.value) || cleanOptional(fields.id?.value);
+    const categories = [markerCategory(geojson, id), cleanOptional(fields.category?.value), restoredCategory];
+    return { operation, id, categories: [...new Set(categories.filter(Boolean))] };
+  };
+
+  if (issueType === 'restore') {
+    return [describe(issueType, parsed, findRestoreTarget(parsed, snapshots).previous?.properties?.category)];
+  }
+  if (issueType !== 'bulk') return [describe(issueType, parsed)];
+
+  const { rows } = parseBulkPayload(parsed.markers?.value || '');
+  const requests = [{ operation: 'bulk', categories: [] }];
+  for (const row of rows) {
+    const fields = {};
+    for (const [key, value] of Object.entries(row.fields)) fields[key] = { value };
+    requests.push(describe(row.action, fields));
+  }
+  return requests;
+}
+
+function hasLabel(issue, name) {
+  return (issue.labels || []).some((label) => label.name.toLowerCase() === name);
+}
+
+function checkPolicy(issue, issueType, parsed, geojson, { policy, teams, approved, snapshots }) {
+  const result = evaluatePolicy(policy, {
+    author: issue.user?.login,
+    association: issue.author_association,
+    teams,
+    labels: (issue.labels || []).map((label) => label.name),
+    approved,
+    requests: policyRequests(issueType, parsed, geojson, snapshots),
+  });
+
+  const reasons = result.reasons.map((reason) => `- ${reason}`).join('\n');
+  if (result.decision === 'deny') return fail('Not authorized by the marker policy. No markers were changed.', reasons);
+  if (result.decision === 'pending' && hasLabel(issue, result.approvalLabel)) {
+    return pending(
+      `Waiting for approval: the issue has changed since the \`${result.approvalLabel}\` label was added. ` +
+        'A maintainer must remove the label and add it again to approve this version.',
+      reasons
+    );
+  }
+  if (result.decision === 'pending') {
+    return pending(
+      `Waiting for approval: a maintainer must add the \`${result.approvalLabel}\` label before this change is applied.`,
+      reasons
+    );
+  }
+  return null;
+}
+
+function applyMutation(
+  issue,
+  geojson,
+  {
+    snapshots = createGitSnapshots(),
+    policy = loadPolicy(),
+    teams = [],
+    approved,
+    duplicateRadius = DEFAULT_RADIUS_METERS,
+    now = new Date().toISOString(),
+  } = {}
+) {
+  const parsed = parseIssueFormBody(issue.body || '');
+  const issueType = parseIssueType(issue.labels || []);
+
+  if (!issueType) {
+    return fail('Issue is missing one of marker-add, marker-update, marker-delete, marker-bulk, or marker-restore labels.');
+  }
+
+  const denied = checkPolicy(issue, issueType, parsed, geojson, { policy, teams, approved, snapshots });
+  if (denied) return denied;
+
+  if (issueType === 'bulk') return applyBulk(parsed, issue, geojson, { duplicateRadius, now });
+  if (issueType === 'restore') return applyRestore(parsed, geojson, snapshots, { now });
+  if (issueType === 'add') return applyAdd(parsed, issue, geojson, { duplicateRadius, now });
+  if (issueType === 'update') return applyUpdate(parsed, geojson, { now });
+  return applyDelete(parsed, geojson);
+}
+
+// Applies an issue to `current` and returns { result, geojson, record }, where
+// geojson is the new dataset and record the issue's new ledger entry. An
+// issue that was already applied (edited, or labeled again) is an amendment:
+// its earlier change is reverted and the edited issue applied in its place,
+// which is refused if another change has touched the same markers since.
+// `current` itself is never modified.
+//
+// The approval label approves the issue as it was when the label was added:
+// `addedLabels` are the labels the triggering event added. Once the issue is
+// edited, the label left on it no longer counts.
+function applyIssue(
+  issue,
+  current,
+  { ledger = {}, history = [], addedLabels = [], policy = loadPolicy(), now = new Date().toISOString(), ...options } = {}
+) {
+  const parsed = parseIssueFormBody(issue.body || '');
+  const issueType = parseIssueType(issue.labels || []);
+  const hash = requestHash(issueType, parsed);
+  const prior = ledger[issue.number];
+  const approvalLabel = approvalLabelOf(policy);
+  const approved =
+    hasLabel(issue, approvalLabel) && addedLabels.some((label) => String(label).toLowerCase() === approvalLabel);
+
+  if (prior?.request_hash === hash) {
+    return { result: unchanged(`Issue #${issue.number} has already been applied; nothing changed.`), geojson: current };
+  }
+
+  const base = JSON.parse(JSON.stringify(current));
+  if (prior) {
+    const conflicts = findConflicts(current, prior, history, issue.number);
+    if (conflicts.length) {
+      const lines = ['| Marker | Applied revision | Current revision | Changed by |', '| --- | --- | --- | --- |'];
+      for (const conflict of conflicts) {
+        lines.push(
+          `| ${escapeTableCell(conflict.id)} | ${conflict.expected ?? '(none)'} | ${conflict.current ?? '(deleted)'} | ${
+            conflict.changedBy || 'unknown'
+          } |`
+        );
+      }
+      return {
+        result: fail(
+          `Issue #${issue.number} was edited after it was applied, but its markers have changed since, so the edit cannot be applied safely. ` +
+            'Open a new issue for further changes.',
+          lines.join('\n')
+        ),
+        geojson: current,
+      };
+    }
+    revertIssue(base, prior, history, issue.number);
+  }
+
+  const after = JSON.parse(JSON.stringify(base));
+  const result = applyMutation(issue, after, { ...options, policy, approved, now });
+  if (!result.ok) {
+    if (prior && !result.pending) {
+      result.message = `The edited issue could not be applied, so the change from its earlier version stays in place. ${result.message}`;
+    }
+    return { result, geojson: current };
+  }
+
+  const record = ledgerRecord(prior, { operation: issueType, hash, approved, base, after, timestamp: now });
+  if (prior) {
+    if (!diffCollections(current, after).length) {
+      return { result: success(`The edit to issue #${issue.number} does not change any marker.`), geojson: current, record };
+    }
+    result.message = `Re-applied edited issue #${issue.number}. ${result.message}`;
+  }
+  return { result, geojson: after, record };
+}
+
+// A bulk issue may attach its table instead of pasting it; fetch the file and
+// substitute its contents so applyMutation() stays synchronous.
+async function inlineBulkAttachment(issue) {
+  if (parseIssueType(issue.labels || []) !== 'bulk') return issue;
+
+  const parsed = parseIssueFormBody(issue.body || '');
+  const url = findAttachmentUrl(parsed.markers?.raw);
+  if (!url) return issue;
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not download bulk attachment ${url} (HTTP ${response.status}).`);
+  }
+  const text = await response.text();
+  const body = (issue.body || '').replace(parsed.markers.raw, () => text);
+  return { ...issue, body };
+}
+
+// The whole run for one issue, without touching any file: applyIssue(), then
+// validation of the resulting dataset and the history entries it adds.
+// Returns { result, geojson, entries, record }; on failure geojson is `before`
+// and there are no entries or record.
+function processIssue(issue, before, { actor, now = new Date().toISOString(), ...options } = {}) {
+  const { result, geojson, record } = applyIssue(issue, before, { ...options, now });
+  if (!result.ok || result.unchanged) return { result, geojson: before, entries: [] };
+
+  const { errors, warnings } = validateDataset(geojson);
+  if (errors.length) {
+    const joined = errors.map(formatIssue).join(' | ');
+    return { result: fail(`GeoJSON validation failed after mutation: ${joined}`), geojson: before, entries: [] };
+  }
+
+  const entries = buildHistoryEntries(before, geojson, { issue, actor, timestamp: now });
+
+  // Warnings don't block the change, but the author should see the ones about
+  // markers this issue touched.
+  const touched = new Set(entries.map((entry) => entry.marker_id));
+  const relevant = warnings.filter((warning) => touched.has(warning.id));
+  if (relevant.length) {
+    const list = relevant.map((warning) => `- ${formatIssue(warning)}`).join('\n');
+    result.details = [result.details, `⚠️ Validation warnings:\n${list}`].filter(Boolean).join('\n\n');
+  }
+
+  return { result, geojson, entries, record };
+}
+
+// Labels set by the event that triggered this run: the one just added, or
+// all of them for a new issue. Only these can approve what the issue says now.
+function labelsAddedBy(event) {
+  if (event.action === 'labeled') return event.label ? [event.label.name] : [];
+  if (event.action === 'opened') return (event.issue.labels || []).map((label) => label.name);
+  return [];
+}
+
+function writeResult(filePath, result) {
+  fs.writeFileSync(filePath, JSON.stringify(result, null, 2));
+  process.stdout.write(`${JSON.stringify(result)}\n`);
+}
+
+async function main() {
   const eventPath = process.env.GITHUB_EVENT_PATH;
   if (!eventPath || !fs.existsSync(eventPath)) {
     throw new Error('GITHUB_EVENT_PATH is required and must point to a valid event payload file.');
   }
 
   const event = JSON.parse(fs.readFileSync(eventPath, 'utf8'));
-  const issue = event.issue;
-  if (!issue) {
+  if (!event.issue) {
     throw new Error('This script must run on an issues event payload.');
   }
-
-  const raw = fs.readFileSync(DATA_FILE, 'utf8');
-  const geojson = JSON.parse(raw);
-
-  const mutation = applyMutation(issue, geojson);
-  if (!mutation.ok) {
-    fs.writeFileSync(RESULT_FILE, JSON.stringify(mutation, null, 2));
-    process.stdout.write(`${JSON.stringify(mutation)}\n`);
+  const issue = await inlineBulkAttachment(event.issue);
+
+  const files = pipelineFiles();
+  const before = JSON.parse(fs.readFileSync(files.data, 'utf8'));
+  const ledger = loadLedger(files.ledger);
+  const history = readHistory(files.history);
+
+  // Team membership cannot be read with the workflow token; an optional
+  // workflow step resolves it and passes the matching "org/team" slugs here.
+  const teams = (process.env.MARKER_AUTHOR_TEAMS || '').split(',').map((team) => team.trim()).filter(Boolean);
+  const duplicateRadius = Number(process.env.MARKER_DUPLICATE_RADIUS_METERS) || DEFAULT_RADIUS_METERS;
+  const { result, geojson, entries, record } = processIssue(issue, before, {
+    ledger,
+    history,
+    teams,
+    duplicateRadius,
+    addedLabels: labelsAddedBy(event),
+    actor: event.sender?.login,
+    now: resolveNow(),
+  });
+  if (!result.ok) {
+    writeResult(files.result, result);
     process.exit(1);
   }
-
-  const validationErrors = validateGeoJSON(geojson);
-  if (validationErrors.length) {
-    const joined = validationErrors.join(' | ');
-    const errorResult = fail(`GeoJSON validation failed after mutation: ${joined}`);
-    fs.writeFileSync(RESULT_FILE, JSON.stringify(errorResult, null, 2));
-    process.stdout.write(`${JSON.stringify(errorResult)}\n`);
-    process.exit(1);
+  if (result.unchanged) {
+    writeResult(files.result, result);
+    return;
   }
 
-  fs.writeFileSync(DATA_FILE, `${JSON.stringify(geojson, null, 2)}\n`);
-  fs.writeFileSync(RESULT_FILE, JSON.stringify(mutation, null, 2));
-  process.stdout.write(`${JSON.stringify(mutation)}\n`);
+  fs.writeFileSync(files.data, `${JSON.stringify(geojson, null, 2)}\n`);
+  appendHistory(files.history, entries);
+  saveLedger(files.ledger, { ...ledger, [issue.number]: record });
+  writeResult(files.result, result);
 }
 
+module.exports = {
+  applyIssue,
+  applyMutation,
+  inlineBulkAttachment,
+  labelsAddedBy,
+  parseIssueType,
+  pipelineFiles,
+  processIssue,
+  resolveNow,
+  stableSortFeatures,
+};
+
 if (require.main === module) {
-  try {
-    main();
-  } catch (error) {
-    const result = fail(error.message || 'Unknown error');
-    fs.writeFileSync(RESULT_FILE, JSON.stringify(result, null, 2));
-    process.stdout.write(`${JSON.stringify(result)}\n`);
+  main().catch((error) => {
+    writeResult(pipelineFiles().result, fail(error.message || 'Unknown error'));
     process.exit(1);
-  }
+  });
 }
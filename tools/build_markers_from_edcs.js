@@ -1,76 +1,302 @@
 #!/usr/bin/env node
 const fs = require('node:fs');
 const path = require('node:path');
+const { parseDelimited, mapRecords } = require('./delimited');
+const { createGeocoder, readJson } = require('./geocode');
+const { stableSortFeatures } = require('./apply_marker_issue');
+const { validateGeoJSON } = require('./validate_geojson');
+const { appendHistory, buildHistoryEntries } = require('./history');
 
 const SOURCE = path.join(process.cwd(), 'docs/data/edcs.txt');
 const OUTPUT = path.join(process.cwd(), 'docs/data/markers.geojson');
+const OVERRIDES = path.join(process.cwd(), 'docs/data/edcs_overrides.json');
+const COLUMN_MAP = path.join(__dirname, 'data/edcs_columns.json');
+const HISTORY = path.join(process.cwd(), 'docs/data/history.jsonl');
+// The values each marker had in the sheet at the last import, keyed by ID:
+// { "markers": { "<id>": { "title": …, "services": …, "geometry": … } } }.
+const IMPORT_STATE = path.join(process.cwd(), 'docs/data/edcs_import.json');
 
-function parseTsv(text) {
-  const lines = text.replace(/\r\n/g, '\n').split('\n').filter((line) => line.trim());
-  if (!lines.length) throw new Error('edcs.txt is empty.');
+// Properties owned by the import. Anything else on a feature (link, icon,
+// focus_on_load) is never touched. An imported field is only overwritten when
+// the sheet changed it since the last import and nobody edited it since, so
+// edits made through issue forms survive re-imports.
+const IMPORTED_FIELDS = ['title', 'description', 'Location', 'category', 'country', 'dc_type', 'services', 'geocode_precision'];
 
-  const headers = lines[0].split('\t').map((h) => h.trim());
-  const rows = [];
+const SERVICE_FLAGS = ['dns', 'swg_dlp', 'firewall', 'zta', 'vpn', 'meraki_auto_vpn'];
 
-  for (const line of lines.slice(1)) {
-    const cols = line.split('\t');
-    const row = {};
-    headers.forEach((header, index) => {
-      row[header] = (cols[index] || '').trim();
-    });
-    rows.push(row);
-  }
-
-  return rows;
+function parseSource(text, columnMap) {
+  const source = path.relative(process.cwd(), SOURCE);
+  const parsed = parseDelimited(text, { source });
+  return mapRecords(parsed, columnMap, { source });
 }
 
-function toNumber(value, field) {
+function toNumber(value, field, row) {
   const number = Number(value);
-  if (!Number.isFinite(number)) throw new Error(`${field} must be numeric, received: ${value}`);
+  if (!Number.isFinite(number)) throw new Error(`line ${row.line}: ${field} must be numeric, received: ${value}`);
   return number;
 }
 
-function buildFeature(row) {
-  const id = row.id || row.ID;
-  const title = row.title || row.Title;
-  const location = row.Location || row.location;
-  const category = row.category || row.Region || '';
-  const lat = toNumber(row.lat || row.latitude || row.Latitude, 'lat');
-  const lng = toNumber(row.lng || row.longitude || row.Longitude, 'lng');
+function slugify(value) {
+  return (value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function deriveId(row) {
+  return `edcs-${slugify(row.country)}-${slugify(row.location)}`;
+}
+
+// Rows with explicit coordinates win; otherwise Location + Country are looked up
+// in the offline gazetteer (with docs/data/edcs_overrides.json taking precedence).
+function resolveCoordinates(row, geocoder) {
+  if (row.lat || row.lng) {
+    return { status: 'resolved', lat: toNumber(row.lat, 'lat', row), lng: toNumber(row.lng, 'lng', row), precision: 'source' };
+  }
+
+  return geocoder.resolve(row.country || '', row.location || '');
+}
+
+function parseFlag(value) {
+  return /^(✓|✔|☑|x|y|yes|true|1)$/i.test((value || '').trim());
+}
+
+// Capability columns become a typed object: booleans for each ✓ column plus
+// the peering fabric name (null when the sheet leaves it blank).
+function buildServices(row) {
+  const services = {};
+  for (const flag of SERVICE_FLAGS) {
+    services[flag] = parseFlag(row[flag]);
+  }
+  services.peering_fabric = (row.peering_fabric || '').trim() || null;
+  return services;
+}
+
+function buildFeature(row, geocoded) {
+  const location = row.location;
+  const id = row.id || deriveId(row);
+  const title = row.title || location;
+  const category = row.category || row.region || '';
 
-  if (!id || !title || !location) {
-    throw new Error(`row missing required field(s): id/title/Location in row ${JSON.stringify(row)}`);
+  if (!location) {
+    throw new Error(`line ${row.line}: row is missing the required Location column.`);
   }
 
+  const properties = {
+    id,
+    source: 'edcs',
+    title,
+    description: location,
+    Location: location,
+    category,
+    updated_at: row.updated_at || new Date().toISOString(),
+  };
+  if (row.country) properties.country = row.country;
+  if (row.dc_type) properties.dc_type = row.dc_type;
+  properties.services = buildServices(row);
+  if (geocoded.precision !== 'source') properties.geocode_precision = geocoded.precision;
+
   return {
     type: 'Feature',
-    properties: {
-      id,
-      title,
-      description: location,
-      Location: location,
-      category,
-      updated_at: row.updated_at || new Date().toISOString(),
-    },
+    properties,
     geometry: {
       type: 'Point',
-      coordinates: [lng, lat],
+      coordinates: [geocoded.lng, geocoded.lat],
     },
   };
 }
 
+function printGeocodeReport(problems) {
+  if (!problems.length) return;
+  console.warn(`${problems.length} row(s) could not be geocoded:`);
+  for (const { row, result } of problems) {
+    const hint = result.suggestions && result.suggestions.length ? ` Did you mean: ${result.suggestions.join('; ')}?` : '';
+    console.warn(`- line ${row.line} [${result.status}] ${row.country} / ${row.location}: ${result.reason}.${hint}`);
+  }
+  console.warn(`Pin coordinates for these rows in ${OVERRIDES} using "<Country> / <Location>" keys.`);
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// What the import owns on a feature, as recorded in IMPORT_STATE.
+function importedValues(feature) {
+  const values = {};
+  for (const field of IMPORTED_FIELDS) {
+    if (feature.properties[field] !== undefined) values[field] = feature.properties[field];
+  }
+  values.geometry = feature.geometry;
+  return values;
+}
+
+// Matches imported features to existing ones by their derived ID. A field is
+// updated when the sheet changed it since the last import (lastImport, from
+// IMPORT_STATE) and the marker still holds the last imported value; if the
+// marker was edited since, the edit is kept and reported. Without a record of
+// the last import nothing is overwritten. Imported features that no longer
+// appear in the sheet are flagged instead of deleted.
+function mergeFeatures(existing, imported, sourceIds, now, lastImport = {}) {
+  const summary = { added: [], changed: [], kept: [], removed: [], unchanged: 0 };
+  const byId = new Map(existing.map((feature) => [feature?.properties?.id, feature]));
+  const markers = { ...lastImport };
+
+  for (const feature of imported) {
+    const id = feature.properties.id;
+    const current = byId.get(id);
+    const last = lastImport[id];
+    markers[id] = importedValues(feature);
+
+    if (!current) {
+      byId.set(id, feature);
+      summary.added.push(id);
+      continue;
+    }
+
+    const props = current.properties || {};
+    const changedFields = [];
+    const keptFields = [];
+    const values = { ...props, geometry: current.geometry };
+    for (const field of [...IMPORTED_FIELDS, 'geometry']) {
+      const next = markers[id][field];
+      if (sameValue(values[field], next)) continue;
+      if (last && sameValue(last[field], next)) continue;
+      if (!last || !sameValue(values[field], last[field])) {
+        keptFields.push(field);
+        continue;
+      }
+      if (field === 'geometry') current.geometry = next;
+      else if (next === undefined) delete props[field];
+      else props[field] = next;
+      changedFields.push(field);
+    }
+    if (keptFields.length) summary.kept.push({ id, fields: keptFields });
+
+    if (props.import_status === 'removed') {
+      delete props.import_status;
+      delete props.removed_at;
+      changedFields.push('import_status');
+    }
+
+    props.source = 'edcs';
+    current.properties = props;
+
+    if (changedFields.length) {
+      props.updated_at = now;
+      summary.changed.push({ id, fields: changedFields });
+    } else {
+      summary.unchanged += 1;
+    }
+  }
+
+  for (const [id, feature] of byId) {
+    const props = feature?.properties || {};
+    if (props.source !== 'edcs' || sourceIds.has(id) || props.import_status === 'removed') continue;
+    props.import_status = 'removed';
+    props.removed_at = now;
+    props.updated_at = now;
+    summary.removed.push(id);
+  }
+
+  return {
+    features: stableSortFeatures(Array.from(byId.values())),
+    summary,
+    markers,
+  };
+}
+
+function printMergeSummary(summary) {
+  console.log(
+    `Merge summary: ${summary.added.length} added, ${summary.changed.length} changed, ` +
+      `${summary.removed.length} flagged removed, ${summary.unchanged} unchanged.`
+  );
+  summary.added.forEach((id) => console.log(`+ ${id}`));
+  summary.changed.forEach(({ id, fields }) => console.log(`~ ${id} (${fields.join(', ')})`));
+  summary.kept.forEach(({ id, fields }) => console.log(`= ${id} (${fields.join(', ')}: edited since the last import; kept)`));
+  summary.removed.forEach((id) => console.log(`- ${id} (no longer in source; marked import_status=removed)`));
+}
+
 function main() {
+  const args = process.argv.slice(2);
+  const strict = args.includes('--strict');
+  const replace = args.includes('--replace');
+  const dryRun = args.includes('--dry-run');
+
   const source = fs.readFileSync(SOURCE, 'utf8');
-  const rows = parseTsv(source);
-  const features = rows.map(buildFeature);
+  const { rows, errors } = parseSource(source, readJson(COLUMN_MAP, {}));
+  const geocoder = createGeocoder({ overrides: readJson(OVERRIDES, {}) });
 
-  const geojson = {
-    type: 'FeatureCollection',
-    features,
-  };
+  const features = [];
+  const problems = [];
+  const sourceIds = new Set();
+  for (const row of rows) {
+    sourceIds.add(row.id || deriveId(row));
+    try {
+      const result = resolveCoordinates(row, geocoder);
+      if (result.status !== 'resolved') {
+        problems.push({ row, result });
+        continue;
+      }
+      features.push(buildFeature(row, result));
+    } catch (err) {
+      errors.push(err.message);
+    }
+  }
+
+  if (errors.length) {
+    console.warn(`${errors.length} malformed row(s) were skipped:`);
+    errors.forEach((err) => console.warn(`- ${err}`));
+  }
+  printGeocodeReport(problems);
+  if (strict && (problems.length || errors.length)) {
+    console.error('Aborting because --strict was given and some rows were skipped.');
+    process.exit(1);
+  }
+
+  const previous = fs.existsSync(OUTPUT) ? JSON.parse(fs.readFileSync(OUTPUT, 'utf8')) : { features: [] };
+
+  let geojson;
+  let markers;
+  if (replace) {
+    geojson = { type: 'FeatureCollection', features };
+    markers = Object.fromEntries(features.map((feature) => [feature.properties.id, importedValues(feature)]));
+    console.log(`Replacing ${OUTPUT} with ${features.length} imported markers.`);
+  } else {
+    const existing = JSON.parse(JSON.stringify(previous));
+    const lastImport = readJson(IMPORT_STATE, {}).markers || {};
+    const merged = mergeFeatures(existing.features || [], features, sourceIds, new Date().toISOString(), lastImport);
+    geojson = { ...existing, type: 'FeatureCollection', features: merged.features };
+    markers = merged.markers;
+    printMergeSummary(merged.summary);
+  }
+
+  const validationErrors = validateGeoJSON(geojson);
+  if (validationErrors.length) {
+    console.error('GeoJSON validation failed after import:');
+    validationErrors.forEach((err) => console.error(`- ${err}`));
+    process.exit(1);
+  }
+
+  if (dryRun) {
+    console.log('Dry run: no files were written.');
+    return;
+  }
 
   fs.writeFileSync(OUTPUT, `${JSON.stringify(geojson, null, 2)}\n`);
-  console.log(`Wrote ${features.length} markers to ${OUTPUT}`);
+  fs.writeFileSync(IMPORT_STATE, `${JSON.stringify({ markers }, null, 2)}\n`);
+  appendHistory(HISTORY, buildHistoryEntries(previous, geojson, { source: 'edcs-import' }));
+  console.log(`Wrote ${geojson.features.length} markers to ${OUTPUT}`);
 }
 
-main();
+module.exports = {
+  IMPORTED_FIELDS,
+  buildFeature,
+  deriveId,
+  mergeFeatures,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,373 @@
+#!/usr/bin/env node
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { issueUrl, repositoryUrl } = require('../docs/proposal');
+const { SERVICE_LABELS } = require('../docs/stats');
+const { buildChangelog, toAtom, toRss } = require('./changes');
+const { readHistory } = require('./history');
+
+const DOCS_DIR = path.join(__dirname, '..', 'docs');
+const DATA_FILE = path.join(DOCS_DIR, 'data', 'markers.geojson');
+const SCHEMA_FILE = path.join(DOCS_DIR, 'data', 'marker_schema.json');
+const HISTORY_FILE = path.join(DOCS_DIR, 'data', 'history.jsonl');
+// Everything under these is generated and replaced on each build.
+const GENERATED = ['markers', 'api', 'sitemap.xml', 'feed.xml', 'rss.xml'];
+// Bump when files under api/ move or change shape.
+const API_VERSION = 1;
+const SITE_NAME = 'Community Mapping App';
+const SHAPE_LABELS = { LineString: 'Line', Polygon: 'Area', MultiPolygon: 'Area' };
+const FEED_LINK = '<link rel="alternate" type="application/atom+xml" title="Marker changes" href="./feed.xml" />';
+
+const USAGE =
+  'Usage: node tools/build_site.js [--file markers.geojson] [--history history.jsonl] [--out docs] [--repository owner/repo] [--base-url https://…/]';
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function slugify(value) {
+  return (value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function json(value) {
+  return `${JSON.stringify(value, null, 2)}\n`;
+}
+
+// The Pages address for a repository: owner.github.io/repo/, or the root for
+// an owner.github.io repository.
+function pagesUrl(repository) {
+  const [owner, repo] = (repository || '').split('/');
+  if (!owner || !repo) return null;
+  const host = `${owner.toLowerCase()}.github.io`;
+  return repo.toLowerCase() === host ? `https://${host}/` : `https://${host}/${repo}/`;
+}
+
+function regionOf(props) {
+  return (props.category || '').toString().trim() || 'Uncategorized';
+}
+
+function coordinatesText(geometry) {
+  if (geometry?.type === 'Point') {
+    const [lng, lat] = geometry.coordinates;
+    return `${lat}, ${lng}`;
+  }
+  return SHAPE_LABELS[geometry?.type] || geometry?.type || 'None';
+}
+
+function page({ title, description, root, canonical, head = '', header, main, scripts = '' }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeHtml(title)} · ${SITE_NAME}</title>
+    <meta name="description" content="${escapeHtml(description)}" />${
+      canonical ? `\n    <link rel="canonical" href="${escapeHtml(canonical)}" />` : ''
+    }${head}
+    <link rel="stylesheet" href="${root}styles.css" />
+  </head>
+  <body>
+    <header>
+      <nav class="site-nav" aria-label="Pages">
+        <a href="${root}index.html">Map</a>
+        <a href="${root}stats.html">Statistics</a>
+        <a href="${root}markers/">All markers</a>
+      </nav>
+${header}
+    </header>
+
+    <main class="marker-page">
+${main}
+    </main>
+
+    <footer>
+      <small>
+        Generated from <code>docs/data/markers.geojson</code> by <code>tools/build_site.js</code>.
+      </small>
+    </footer>
+${scripts}  </body>
+</html>
+`;
+}
+
+function markerPage(feature, { baseUrl, repository }) {
+  const props = feature.properties;
+  const root = '../../';
+  const services = props.services && typeof props.services === 'object' ? props.services : null;
+  const details = [
+    ['Marker ID', `<code>${escapeHtml(props.id)}</code>`],
+    ['Category', escapeHtml(regionOf(props))],
+    props.country && ['Country', escapeHtml(props.country)],
+    props.Location && ['Location', escapeHtml(props.Location)],
+    props.dc_type && ['DC type', escapeHtml(props.dc_type)],
+    ['Description', escapeHtml(props.description || 'No description provided.')],
+    props.link && [
+      'Link',
+      `<a href="${escapeHtml(props.link)}" rel="noopener noreferrer">${escapeHtml(props.link)}</a>`,
+    ],
+    services && [
+      'Services',
+      `<ul class="marker-services">${Object.entries(SERVICE_LABELS)
+        .map(
+          ([key, label]) =>
+            `<li class="${services[key] === true ? 'is-on' : 'is-off'}">${escapeHtml(label)}: ${
+              services[key] === true ? 'yes' : 'no'
+            }</li>`
+        )
+        .join('')}</ul>`,
+    ],
+    services?.peering_fabric && ['Peering fabric', escapeHtml(services.peering_fabric)],
+    ['Coordinates', escapeHtml(coordinatesText(feature.geometry))],
+    props.updated_at && ['Last updated', `<time datetime="${escapeHtml(props.updated_at)}">${escapeHtml(props.updated_at)}</time>`],
+  ].filter(Boolean);
+
+  const subject = props.title || props.id;
+  const actions = [
+    `<a href="${root}index.html#marker=${encodeURIComponent(props.id)}">View on the map</a>`,
+    repository &&
+      `<a href="${escapeHtml(
+        issueUrl(repository, 'update', { id: props.id, expected_updated_at: props.updated_at }, subject)
+      )}" rel="noopener noreferrer">Propose update</a>`,
+    repository &&
+      `<a href="${escapeHtml(issueUrl(repository, 'delete', { id: props.id }, subject))}" rel="noopener noreferrer">Propose deletion</a>`,
+    `<a href="${root}api/markers/${encodeURIComponent(props.id)}.json">JSON</a>`,
+  ].filter(Boolean);
+
+  // "<" is escaped so a title can't close the script element.
+  const geometry = JSON.stringify(feature.geometry).replace(/</g, '\\u003c');
+  const summary = [regionOf(props), props.country, props.Location].filter(Boolean).join(' · ');
+  return page({
+    title: props.title || props.id,
+    description: props.description || `${props.title || props.id}: ${summary}`,
+    root,
+    canonical: baseUrl && `${baseUrl}markers/${encodeURIComponent(props.id)}/`,
+    head: `
+    <link rel="alternate" type="application/geo+json" href="${root}api/markers/${encodeURIComponent(props.id)}.json" />
+    <link
+      rel="stylesheet"
+      href="https://unpkg.com/leaflet@1.9.4/dist/leaflet.css"
+      integrity="sha256-p4NxAoJBhIIN+hmNHrzRCf9tD/miZyoHS5obTRR9BMY="
+      crossorigin=""
+    />`,
+    header: `      <h1>${escapeHtml(props.title || props.id)}</h1>
+      <p>${escapeHtml(summary)}</p>`,
+    main: `      <div id="mini-map" aria-label="Map of ${escapeHtml(props.title || props.id)}"></div>
+      <script type="application/json" id="marker-geometry">${geometry}</script>
+      <dl class="marker-details">
+${details.map(([label, value]) => `        <dt>${label}</dt>\n        <dd>${value}</dd>`).join('\n')}
+      </dl>
+      <p class="marker-actions">
+        ${actions.join('\n        ')}
+      </p>`,
+    scripts: `
+    <script
+      src="https://unpkg.com/leaflet@1.9.4/dist/leaflet.js"
+      integrity="sha256-20nQCchB9co0qIjJZRGuk2/Z9VM+kNiyxNV1lvTlZBo="
+      crossorigin=""
+    ></script>
+    <script src="${root}offline.js"></script>
+    <script src="${root}marker_page.js" data-root="${root}"></script>
+`,
+  });
+}
+
+function indexPage(regions, { baseUrl }) {
+  const sections = regions.map(
+    ({ name, features }) => `      <section>
+        <h2>${escapeHtml(name)} (${features.length})</h2>
+        <ul>
+${features
+  .map(({ properties: props }) => {
+    const meta = [props.country, props.Location].filter(Boolean).join(' · ');
+    return `          <li><a href="./${encodeURIComponent(props.id)}/">${escapeHtml(props.title || props.id)}</a>${
+      meta ? ` <span class="hint">${escapeHtml(meta)}</span>` : ''
+    }</li>`;
+  })
+  .join('\n')}
+        </ul>
+      </section>`
+  );
+  const total = regions.reduce((sum, region) => sum + region.features.length, 0);
+  return page({
+    title: 'All markers',
+    description: `Every marker on the ${SITE_NAME} map, by category.`,
+    root: '../',
+    canonical: baseUrl && `${baseUrl}markers/`,
+    header: `      <h1>All markers</h1>
+      <p>${total} markers by category. Each has its own page for linking from runbooks and docs.</p>`,
+    main: sections.join('\n') || '      <p class="hint">No markers yet.</p>',
+  });
+}
+
+function sitemap(features, baseUrl) {
+  const newest = features.map((feature) => feature.properties.updated_at || '').sort().pop();
+  const urls = [
+    { loc: baseUrl, lastmod: newest },
+    { loc: `${baseUrl}stats.html`, lastmod: newest },
+    { loc: `${baseUrl}markers/`, lastmod: newest },
+    ...features.map(({ properties: props }) => ({
+      loc: `${baseUrl}markers/${encodeURIComponent(props.id)}/`,
+      lastmod: props.updated_at,
+    })),
+  ];
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls
+  .map(
+    ({ loc, lastmod }) =>
+      `  <url>\n    <loc>${escapeHtml(loc)}</loc>${lastmod ? `\n    <lastmod>${escapeHtml(lastmod.slice(0, 10))}</lastmod>` : ''}\n  </url>`
+  )
+  .join('\n')}
+</urlset>
+`;
+}
+
+// The map page (docs/index.html) advertises the Atom feed only when the build
+// writes one, so the link never points at a missing file.
+function withFeedLink(html, hasFeed) {
+  const stripped = html.replace(/^[ \t]*<link rel="alternate" type="application\/atom\+xml"[^>]*>\r?\n/m, '');
+  if (!hasFeed) return stripped;
+  return stripped.replace(/^([ \t]*)(<meta name="marker-repository"[^>]*>\r?\n)/m, `$1$2$1${FEED_LINK}\n`);
+}
+
+// Builds every generated file from a marker FeatureCollection and its history
+// entries. Returns a Map of paths relative to docs/ to file contents. Removed
+// imports are left out, as on the map. Without a base URL there is no
+// sitemap, feeds or canonical links. With mapPage, the text of index.html,
+// the result also holds index.html with the feed link added or removed.
+function buildSite(geojson, { schemaText, history = [], baseUrl = null, repository = null, mapPage = null } = {}) {
+  const features = (geojson.features || [])
+    .filter((feature) => feature?.properties?.id && feature.properties.import_status !== 'removed')
+    .sort((a, b) => a.properties.id.localeCompare(b.properties.id));
+  const byRegion = new Map();
+  for (const feature of features) {
+    const name = regionOf(feature.properties);
+    if (!byRegion.has(name)) byRegion.set(name, { name, slug: slugify(name), features: [] });
+    byRegion.get(name).features.push(feature);
+  }
+  const regions = Array.from(byRegion.values()).sort((a, b) => a.name.localeCompare(b.name));
+
+  const files = new Map();
+  for (const feature of features) {
+    const id = feature.properties.id;
+    files.set(`markers/${id}/index.html`, markerPage(feature, { baseUrl, repository }));
+    files.set(`api/markers/${id}.json`, json(feature));
+  }
+  files.set('markers/index.html', indexPage(regions, { baseUrl }));
+  files.set(
+    'api/markers/index.json',
+    json(
+      features.map(({ properties: props }) => ({
+        id: props.id,
+        title: props.title,
+        category: props.category ?? null,
+        country: props.country ?? null,
+        updated_at: props.updated_at ?? null,
+        url: `markers/${props.id}.json`,
+        page: `../markers/${props.id}/`,
+      }))
+    )
+  );
+  for (const region of regions) {
+    files.set(
+      `api/by-region/${region.slug}.json`,
+      json({ type: 'FeatureCollection', region: region.name, features: region.features })
+    );
+  }
+
+  const changelog = buildChangelog(history, { features });
+  const updatedAt = features.map((feature) => feature.properties.updated_at || '').sort().pop() || null;
+  files.set('api/changelog.json', json({ updated_at: changelog[0]?.timestamp ?? null, count: changelog.length, changes: changelog }));
+
+  const schemaVersion = crypto.createHash('sha256').update(schemaText).digest('hex').slice(0, 12);
+  files.set(`api/schema/marker_schema.${schemaVersion}.json`, schemaText);
+  files.set(
+    'api/manifest.json',
+    json({
+      api_version: API_VERSION,
+      schema_version: schemaVersion,
+      schema: `schema/marker_schema.${schemaVersion}.json`,
+      updated_at: updatedAt,
+      count: features.length,
+      markers: 'markers/index.json',
+      marker: 'markers/{id}.json',
+      changelog: 'changelog.json',
+      regions: regions.map((region) => ({
+        name: region.name,
+        count: region.features.length,
+        url: `by-region/${region.slug}.json`,
+      })),
+    })
+  );
+  if (baseUrl) {
+    files.set('sitemap.xml', sitemap(features, baseUrl));
+    // An empty feed still needs an <updated> date.
+    const updated = updatedAt || '1970-01-01T00:00:00.000Z';
+    files.set('feed.xml', toAtom(changelog, { baseUrl, updated }));
+    files.set('rss.xml', toRss(changelog, { baseUrl, updated }));
+  }
+  if (mapPage !== null) files.set('index.html', withFeedLink(mapPage, Boolean(baseUrl)));
+  return files;
+}
+
+// Replaces the generated files under outDir with `files`.
+function writeSite(outDir, files) {
+  for (const name of GENERATED) fs.rmSync(path.join(outDir, name), { recursive: true, force: true });
+  for (const [name, content] of files) {
+    const target = path.join(outDir, name);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  if (args.includes('--help')) {
+    console.log(USAGE);
+    return;
+  }
+
+  const repositoryName = option('--repository') || process.env.GITHUB_REPOSITORY || null;
+  let baseUrl = option('--base-url') || process.env.MARKER_SITE_URL || pagesUrl(repositoryName);
+  if (baseUrl && !baseUrl.endsWith('/')) baseUrl += '/';
+  if (!baseUrl) console.warn('No --base-url or --repository given: skipping sitemap.xml, the feeds and canonical links.');
+
+  const outDir = option('--out') || DOCS_DIR;
+  const mapPageFile = path.join(outDir, 'index.html');
+  const geojson = JSON.parse(fs.readFileSync(option('--file') || process.env.MARKER_DATA_FILE || DATA_FILE, 'utf8'));
+  const files = buildSite(geojson, {
+    schemaText: fs.readFileSync(SCHEMA_FILE, 'utf8'),
+    history: readHistory(option('--history') || process.env.MARKER_HISTORY_FILE || HISTORY_FILE),
+    baseUrl,
+    repository: repositoryUrl(repositoryName),
+    mapPage: fs.existsSync(mapPageFile) ? fs.readFileSync(mapPageFile, 'utf8') : null,
+  });
+  writeSite(outDir, files);
+  console.log(`Wrote ${files.size} files to ${path.relative(process.cwd(), outDir) || '.'}.`);
+}
+
+module.exports = {
+  buildSite,
+  pagesUrl,
+  withFeedLink,
+  writeSite,
+};
+
+if (require.main === module) {
+  main();
+}
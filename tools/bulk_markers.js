@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+const fs = require('node:fs');
+const { parseDelimited, mapRecords } = require('./delimited');
+const { stripCodeFence } = require('./geometry');
+
+const MAX_ROWS = 200;
+const ACTIONS = ['add', 'update', 'delete'];
+
+const BULK_COLUMNS = {
+  action: ['Action', 'Operation', 'Op'],
+  id: ['ID', 'Marker ID', 'marker_id'],
+  title: ['Title', 'Name'],
+  description: ['Description'],
+  link: ['Link', 'URL'],
+  category: ['Category'],
+  icon: ['Icon'],
+  lat: ['Latitude', 'Lat'],
+  lng: ['Longitude', 'Lng', 'Lon', 'Long'],
+  geometry: ['Geometry', 'WKT', 'GeoJSON'],
+  distinct_site: ['Distinct site', 'Distinct'],
+  // updated_at lets a CSV export go straight back in as update rows.
+  expected_updated_at: ['Expected updated_at', 'Expected updated at', 'updated_at'],
+};
+
+// Attachments dropped into an issue-form textarea are rendered as Markdown
+// links; only GitHub-hosted uploads are followed.
+const ATTACHMENT_PATTERN =
+  /\((https:\/\/github\.com\/(?:user-attachments\/files|[^/\s]+\/[^/\s]+\/files)\/[^\s)]+\.(?:csv|tsv|txt|json|geojson))\)/i;
+
+function findAttachmentUrl(text) {
+  const match = ATTACHMENT_PATTERN.exec(text || '');
+  return match ? match[1] : null;
+}
+
+function normalizeAction(value) {
+  const action = (value || 'add').toString().trim().toLowerCase();
+  return ACTIONS.includes(action) ? action : null;
+}
+
+function featureToRow(feature, index) {
+  const ref = `feature[${index}]`;
+  if (!feature || feature.type !== 'Feature') {
+    return { ref, error: 'must be a GeoJSON Feature.' };
+  }
+
+  const props = feature.properties || {};
+  const fields = {};
+  for (const key of ['id', 'title', 'description', 'link', 'category', 'icon', 'distinct_site']) {
+    if (props[key] !== undefined && props[key] !== null) fields[key] = String(props[key]);
+  }
+  if (props.services && typeof props.services === 'object') {
+    fields.services = Object.keys(props.services).filter((key) => props.services[key] === true).join(', ') || 'none';
+  }
+  const expected = props.expected_updated_at ?? props.updated_at;
+  if (expected) fields.expected_updated_at = String(expected);
+
+  if (feature.geometry?.type === 'Point') {
+    const coords = feature.geometry.coordinates;
+    if (!Array.isArray(coords) || coords.length !== 2) {
+      return { ref, error: 'Point geometry must have [lng, lat] coordinates.' };
+    }
+    fields.lng = String(coords[0]);
+    fields.lat = String(coords[1]);
+  } else if (feature.geometry) {
+    // Lines and areas go through the same Geometry parsing as the single forms.
+    fields.geometry = JSON.stringify(feature.geometry);
+  }
+
+  return { ref, action: props.action, fields };
+}
+
+function parseGeoJsonPayload(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { rows: [], errors: [`GeoJSON could not be parsed: ${err.message}`] };
+  }
+
+  let features;
+  if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) features = data.features;
+  else if (data?.type === 'Feature') features = [data];
+  else if (Array.isArray(data)) features = data;
+  else return { rows: [], errors: ['GeoJSON must be a Feature, a FeatureCollection, or an array of Features.'] };
+
+  return { rows: features.map(featureToRow), errors: [] };
+}
+
+function parseCsvPayload(text) {
+  let parsed;
+  try {
+    parsed = parseDelimited(text, { source: 'table' });
+  } catch (err) {
+    return { rows: [], errors: [err.message] };
+  }
+
+  const { rows, errors } = mapRecords(parsed, BULK_COLUMNS, { source: 'table' });
+  return {
+    rows: rows.map((row) => {
+      const { action, ...fields } = row;
+      return { ref: `line ${row.line}`, action, fields };
+    }),
+    errors,
+  };
+}
+
+// Turns a pasted CSV/TSV table or GeoJSON snippet into a list of
+// { ref, action, fields } operations. Rows that cannot be read at all are
+// returned as errors so the caller can reject the whole batch.
+function parseBulkPayload(input) {
+  const text = stripCodeFence(input);
+  if (!text) return { rows: [], errors: ['No CSV table or GeoJSON was provided.'] };
+
+  const result = /^[[{]/.test(text) ? parseGeoJsonPayload(text) : parseCsvPayload(text);
+  const errors = [...result.errors];
+  const rows = [];
+
+  for (const row of result.rows) {
+    if (row.error) {
+      errors.push(`${row.ref}: ${row.error}`);
+      continue;
+    }
+    const action = normalizeAction(row.action);
+    if (!action) {
+      errors.push(`${row.ref}: action must be one of ${ACTIONS.join(', ')}.`);
+      continue;
+    }
+    rows.push({ ...row, action });
+  }
+
+  if (rows.length > MAX_ROWS) {
+    errors.push(`A bulk issue can contain at most ${MAX_ROWS} rows (found ${rows.length}).`);
+  }
+
+  return { rows, errors };
+}
+
+module.exports = {
+  MAX_ROWS,
+  findAttachmentUrl,
+  parseBulkPayload,
+};
+
+if (require.main === module) {
+  const filePath = process.argv[2];
+  if (!filePath) {
+    console.error('Usage: node tools/bulk_markers.js <file.csv|file.geojson>');
+    process.exit(1);
+  }
+  const result = parseBulkPayload(fs.readFileSync(filePath, 'utf8'));
+  process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+}
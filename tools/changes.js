@@ -0,0 +1,179 @@
+// Turns history entries (docs/data/history.jsonl) into readable change
+// records for the changelog, the Atom and RSS feeds and the webhook.
+const { formatDistance, haversineMeters } = require('../docs/nearest');
+const { SERVICE_LABELS } = require('../docs/stats');
+
+const SITE_NAME = 'Community Mapping App';
+// Feeds carry the newest changes only; the changelog has all of them.
+const FEED_LIMIT = 50;
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function serviceChanges(change) {
+  const gained = [];
+  const lost = [];
+  if (!change) return { gained, lost };
+  for (const [key, label] of Object.entries(SERVICE_LABELS)) {
+    const before = change.before?.[key] === true;
+    const after = change.after?.[key] === true;
+    if (!before && after) gained.push(label);
+    if (before && !after) lost.push(label);
+  }
+  return { gained, lost };
+}
+
+function movedMeters(change) {
+  const { before, after } = change || {};
+  if (before?.type !== 'Point' || after?.type !== 'Point') return null;
+  return Math.round(haversineMeters(before.coordinates, after.coordinates));
+}
+
+// One history entry as { id, kinds, headline, summary, ... }. kinds lists
+// what happened: "added", "removed", "moved", "capability-gained",
+// "capability-lost" and "updated" (any other field). `titles` maps marker IDs
+// to current titles for entries that don't record one.
+function describeChange(entry, { titles = new Map() } = {}) {
+  const changes = entry.changes || {};
+  const title = changes.title?.after || changes.title?.before || titles.get(entry.marker_id) || entry.marker_id;
+  const services = serviceChanges(changes.services);
+  const distance = changes.geometry ? movedMeters(changes.geometry) : null;
+  const otherFields = Object.keys(changes).filter((field) => field !== 'geometry' && field !== 'services');
+  const kinds = [];
+  const parts = [];
+
+  if (entry.operation === 'add') {
+    kinds.push('added');
+  } else if (entry.operation === 'delete') {
+    kinds.push('removed');
+  } else {
+    if (changes.geometry) {
+      kinds.push('moved');
+      parts.push(distance === null ? 'moved' : `moved ${formatDistance(distance)}`);
+    }
+    if (services.lost.length) {
+      kinds.push('capability-lost');
+      parts.push(`lost ${services.lost.join(', ')}`);
+    }
+    if (services.gained.length) {
+      kinds.push('capability-gained');
+      parts.push(`gained ${services.gained.join(', ')}`);
+    }
+    // e.g. only the peering fabric changed
+    const fields = changes.services && !services.gained.length && !services.lost.length ? [...otherFields, 'services'] : otherFields;
+    if (fields.length) {
+      kinds.push('updated');
+      parts.push(`changed ${fields.join(', ')}`);
+    }
+  }
+
+  const verb = { add: 'Added', delete: 'Removed' }[entry.operation];
+  return {
+    id: `${entry.timestamp}/${entry.marker_id}`,
+    timestamp: entry.timestamp,
+    operation: entry.operation,
+    kinds,
+    marker_id: entry.marker_id,
+    title,
+    headline: verb ? `${verb} ${title}` : `${title}: ${parts.join('; ')}`,
+    summary: verb
+      ? `${verb} "${title}" (${entry.marker_id}).`
+      : `Updated "${title}" (${entry.marker_id}): ${parts.join('; ')}.`,
+    changed_fields: Object.keys(changes),
+    services,
+    moved_meters: distance,
+    issue: entry.issue ?? null,
+    issue_url: entry.issue_url ?? null,
+    author: entry.author ?? null,
+    source: entry.source ?? null,
+  };
+}
+
+function titlesOf(geojson) {
+  return new Map(
+    (geojson?.features || [])
+      .filter((feature) => feature?.properties?.id)
+      .map((feature) => [feature.properties.id, feature.properties.title || feature.properties.id])
+  );
+}
+
+// Every history entry, newest first; entries from one change keep their
+// order. `page` (relative to api/) is set while the marker still has a page.
+function buildChangelog(history, geojson) {
+  const titles = titlesOf(geojson);
+  return history
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) => b.entry.timestamp.localeCompare(a.entry.timestamp) || a.index - b.index)
+    .map(({ entry }) => ({
+      ...describeChange(entry, { titles }),
+      page: titles.has(entry.marker_id) ? `../markers/${entry.marker_id}/` : null,
+    }));
+}
+
+function entryLink(change, baseUrl) {
+  if (change.page) return `${baseUrl}markers/${encodeURIComponent(change.marker_id)}/`;
+  return change.issue_url || baseUrl;
+}
+
+function toAtom(changelog, { baseUrl, updated }) {
+  const entries = changelog.slice(0, FEED_LIMIT).map(
+    (change) => `  <entry>
+    <id>${escapeXml(`${baseUrl}api/changelog.json#${encodeURIComponent(change.id)}`)}</id>
+    <title>${escapeXml(change.headline)}</title>
+    <updated>${escapeXml(change.timestamp)}</updated>
+    <link href="${escapeXml(entryLink(change, baseUrl))}" />
+    <author><name>${escapeXml(change.author ? `@${change.author}` : change.source || 'automation')}</name></author>
+${change.kinds.map((kind) => `    <category term="${escapeXml(kind)}" />`).join('\n')}
+    <summary>${escapeXml(change.summary)}</summary>
+  </entry>`
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${SITE_NAME}: marker changes</title>
+  <id>${escapeXml(`${baseUrl}feed.xml`)}</id>
+  <link rel="self" href="${escapeXml(`${baseUrl}feed.xml`)}" />
+  <link href="${escapeXml(baseUrl)}" />
+  <updated>${escapeXml(changelog[0]?.timestamp || updated)}</updated>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+function toRss(changelog, { baseUrl, updated }) {
+  const items = changelog.slice(0, FEED_LIMIT).map(
+    (change) => `    <item>
+      <title>${escapeXml(change.headline)}</title>
+      <link>${escapeXml(entryLink(change, baseUrl))}</link>
+      <guid isPermaLink="false">${escapeXml(change.id)}</guid>
+      <pubDate>${new Date(change.timestamp).toUTCString()}</pubDate>
+${change.kinds.map((kind) => `      <category>${escapeXml(kind)}</category>`).join('\n')}
+      <description>${escapeXml(change.summary)}</description>
+    </item>`
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0">
+  <channel>
+    <title>${SITE_NAME}: marker changes</title>
+    <link>${escapeXml(baseUrl)}</link>
+    <description>Markers added, moved, changed or removed.</description>
+    <lastBuildDate>${new Date(changelog[0]?.timestamp || updated).toUTCString()}</lastBuildDate>
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+module.exports = {
+  FEED_LIMIT,
+  buildChangelog,
+  describeChange,
+  titlesOf,
+  toAtom,
+  toRss,
+};
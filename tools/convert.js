@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+const fs = require('node:fs');
+const path = require('node:path');
+const { FORMATS } = require('../docs/formats');
+const { parseDelimited } = require('./delimited');
+const { geometryErrors, parseGeometry } = require('./geometry');
+const { child, children, descendants, parseXml, textOf } = require('./xml');
+
+const SCHEMA_FILE = path.join(__dirname, '../docs/data/marker_schema.json');
+
+const EXTENSIONS = {
+  '.geojson': 'geojson',
+  '.json': 'geojson',
+  '.csv': 'csv',
+  '.tsv': 'csv',
+  '.txt': 'csv',
+  '.kml': 'kml',
+  '.gpx': 'gpx',
+};
+
+function typesOf(schema) {
+  return [].concat(schema?.type || 'string');
+}
+
+function coerce(value, types) {
+  if (types.includes('boolean') && /^(true|false)$/i.test(value)) return value.toLowerCase() === 'true';
+  if ((types.includes('number') || types.includes('integer')) && value.trim() && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+// Every format stores properties as flat text (services.dns = "true"). This
+// rebuilds the nested objects and restores booleans and numbers using the
+// marker schema. Empty values are dropped, except inside a nested object with
+// other values, where nullable fields come back as null.
+function unflattenProperties(flat, schema) {
+  const props = {};
+  const groups = new Map();
+
+  for (const [key, raw] of Object.entries(flat)) {
+    const value = raw ?? '';
+    const dot = key.indexOf('.');
+    if (dot !== -1) {
+      const head = key.slice(0, dot);
+      if (!groups.has(head)) {
+        groups.set(head, []);
+        props[head] = undefined; // keep the column's position in the key order
+      }
+      groups.get(head).push([key.slice(dot + 1), value]);
+    } else if (value !== '') {
+      props[key] = coerce(value, typesOf(schema.properties?.[key]));
+    }
+  }
+
+  for (const [head, entries] of groups) {
+    if (entries.every(([, value]) => value === '')) {
+      delete props[head];
+      continue;
+    }
+    const nested = schema.properties?.[head];
+    const object = {};
+    for (const [key, value] of entries) {
+      const types = typesOf(nested?.properties?.[key]);
+      if (value !== '') object[key] = coerce(value, types);
+      else if (types.includes('null')) object[key] = null;
+    }
+    props[head] = object;
+  }
+
+  return props;
+}
+
+function checkedGeometry(geometry) {
+  const errors = geometryErrors(geometry);
+  if (errors.length) throw new Error(`geometry ${errors[0]}`);
+  return geometry;
+}
+
+function readGeoJson(text) {
+  const data = JSON.parse(text);
+  if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) return { features: data.features, errors: [] };
+  if (data?.type === 'Feature') return { features: [data], errors: [] };
+  throw new Error('GeoJSON input must be a FeatureCollection or a Feature.');
+}
+
+function readCsv(text, { source, schema }) {
+  const parsed = parseDelimited(text, { source });
+  const headers = parsed.headers.map((header) => header.trim());
+  const features = [];
+  const errors = [];
+
+  for (const record of parsed.rows) {
+    if (record.fields.length !== headers.length) {
+      errors.push(`${source}:${record.line}: expected ${headers.length} columns, found ${record.fields.length}.`);
+      continue;
+    }
+
+    const flat = {};
+    let lat = '';
+    let lng = '';
+    let wkt = '';
+    headers.forEach((header, index) => {
+      const value = record.fields[index];
+      const key = header.toLowerCase();
+      if (key === 'lat' || key === 'latitude') lat = value.trim();
+      else if (key === 'lng' || key === 'lon' || key === 'longitude') lng = value.trim();
+      else if (key === 'geometry' || key === 'wkt') wkt = value.trim();
+      else flat[header] = value;
+    });
+
+    try {
+      const geometry = wkt
+        ? parseGeometry(wkt)
+        : checkedGeometry({ type: 'Point', coordinates: [lng === '' ? NaN : Number(lng), lat === '' ? NaN : Number(lat)] });
+      features.push({ type: 'Feature', properties: unflattenProperties(flat, schema), geometry });
+    } catch (err) {
+      errors.push(`${source}:${record.line}: ${err.message}`);
+    }
+  }
+
+  return { features, errors };
+}
+
+// Property values are read exactly as written, spaces and line breaks
+// included; only the fallbacks from other tools' <name>/<description> are
+// trimmed.
+function rawText(node) {
+  return node ? node.text : '';
+}
+
+function kmlPositions(node) {
+  return textOf(child(node, 'coordinates'))
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((tuple) => tuple.split(',').slice(0, 2).map(Number));
+}
+
+function kmlPolygon(node) {
+  const rings = [child(child(node, 'outerBoundaryIs'), 'LinearRing')];
+  for (const inner of children(node, 'innerBoundaryIs')) rings.push(child(inner, 'LinearRing'));
+  return rings.map(kmlPositions);
+}
+
+function kmlGeometry(placemark) {
+  const multi = child(placemark, 'MultiGeometry');
+  if (multi) {
+    const polygons = children(multi, 'Polygon');
+    if (!polygons.length || polygons.length !== multi.children.length) {
+      throw new Error('MultiGeometry is only supported when it holds polygons.');
+    }
+    return polygons.length === 1
+      ? { type: 'Polygon', coordinates: kmlPolygon(polygons[0]) }
+      : { type: 'MultiPolygon', coordinates: polygons.map(kmlPolygon) };
+  }
+
+  const point = child(placemark, 'Point');
+  if (point) return { type: 'Point', coordinates: kmlPositions(point)[0] };
+  const line = child(placemark, 'LineString');
+  if (line) return { type: 'LineString', coordinates: kmlPositions(line) };
+  const polygon = child(placemark, 'Polygon');
+  if (polygon) return { type: 'Polygon', coordinates: kmlPolygon(polygon) };
+  throw new Error('has no Point, LineString, Polygon or MultiGeometry.');
+}
+
+function readKml(text, { source, schema }) {
+  const placemarks = descendants(parseXml(text, { source }), 'Placemark');
+  const features = [];
+  const errors = [];
+
+  placemarks.forEach((placemark, index) => {
+    const flat = {};
+    for (const data of descendants(child(placemark, 'ExtendedData'), 'Data')) {
+      flat[data.attrs.name] = rawText(child(data, 'value'));
+    }
+    for (const data of descendants(child(placemark, 'ExtendedData'), 'SimpleData')) {
+      flat[data.attrs.name] = rawText(data);
+    }
+    // Files from other tools only have <name> and <description>.
+    if (!flat.title) flat.title = textOf(child(placemark, 'name'));
+    if (!flat.description) flat.description = textOf(child(placemark, 'description'));
+
+    try {
+      const geometry = checkedGeometry(kmlGeometry(placemark));
+      features.push({ type: 'Feature', properties: unflattenProperties(flat, schema), geometry });
+    } catch (err) {
+      errors.push(`${source}: Placemark ${index + 1} "${flat.title}": ${err.message}`);
+    }
+  });
+
+  return { features, errors };
+}
+
+function gpxProperties(node, schema) {
+  const flat = {};
+  for (const property of descendants(child(node, 'extensions'), 'property')) {
+    flat[property.attrs.name] = rawText(property);
+  }
+  if (!flat.title) flat.title = textOf(child(node, 'name'));
+  if (!flat.description) flat.description = textOf(child(node, 'desc'));
+  if (!flat.category) flat.category = textOf(child(node, 'type'));
+  if (!flat.link) flat.link = child(node, 'link')?.attrs.href || '';
+  return unflattenProperties(flat, schema);
+}
+
+function gpxPosition(node) {
+  return [Number(node.attrs.lon), Number(node.attrs.lat)];
+}
+
+// Waypoints become points; routes and tracks (all segments joined) become lines.
+function readGpx(text, { source, schema }) {
+  const doc = parseXml(text, { source });
+  const features = [];
+  const errors = [];
+
+  const items = [
+    ...descendants(doc, 'wpt').map((node) => ({ node, geometry: () => ({ type: 'Point', coordinates: gpxPosition(node) }) })),
+    ...descendants(doc, 'rte').map((node) => ({
+      node,
+      geometry: () => ({ type: 'LineString', coordinates: children(node, 'rtept').map(gpxPosition) }),
+    })),
+    ...descendants(doc, 'trk').map((node) => ({
+      node,
+      geometry: () => ({
+        type: 'LineString',
+        coordinates: children(node, 'trkseg').flatMap((segment) => children(segment, 'trkpt').map(gpxPosition)),
+      }),
+    })),
+  ];
+
+  for (const { node, geometry } of items) {
+    const properties = gpxProperties(node, schema);
+    try {
+      features.push({ type: 'Feature', properties, geometry: checkedGeometry(geometry()) });
+    } catch (err) {
+      errors.push(`${source}: <${node.name}> "${properties.title || ''}": ${err.message}`);
+    }
+  }
+
+  return { features, errors };
+}
+
+const READERS = {
+  geojson: readGeoJson,
+  csv: readCsv,
+  kml: readKml,
+  gpx: readGpx,
+};
+
+function formatFromPath(filePath) {
+  return EXTENSIONS[path.extname(filePath || '').toLowerCase()];
+}
+
+// Reads markers from any supported format: { features, errors }.
+function readMarkers(text, format, { source = format, schema = JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8')) } = {}) {
+  const reader = READERS[format];
+  if (!reader) throw new Error(`Unknown input format "${format}". Use one of: ${Object.keys(READERS).join(', ')}.`);
+  return reader(text, { source, schema });
+}
+
+// Writes features in the given format. Features the format cannot hold (areas
+// in GPX) are left out and counted in `skipped`.
+function writeMarkers(features, format) {
+  const writer = FORMATS[format];
+  if (!writer) throw new Error(`Unknown output format "${format}". Use one of: ${Object.keys(FORMATS).join(', ')}.`);
+  const supported = features.filter((feature) => writer.supports(feature.geometry?.type));
+  return { text: writer.write(supported), skipped: features.length - supported.length };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  const optionValues = new Set([option('--from'), option('--to')]);
+  const [input, output] = args.filter((arg) => !arg.startsWith('--') && !optionValues.has(arg));
+
+  if (!input || !output) {
+    console.error('Usage: node tools/convert.js <input> <output|-> [--from geojson|csv|kml|gpx] [--to geojson|csv|kml|gpx]');
+    process.exit(1);
+  }
+
+  const from = option('--from') || formatFromPath(input);
+  const to = option('--to') || formatFromPath(output);
+  if (!from || !to) {
+    console.error('Could not tell the format from the file extension; pass --from and/or --to.');
+    process.exit(1);
+  }
+
+  const { features, errors } = readMarkers(fs.readFileSync(input, 'utf8'), from, { source: input });
+  const { text, skipped } = writeMarkers(features, to);
+
+  if (output === '-') process.stdout.write(text);
+  else fs.writeFileSync(output, text);
+
+  const notes = [];
+  if (errors.length) notes.push(`${errors.length} unreadable`);
+  if (skipped) notes.push(`${skipped} not representable in ${FORMATS[to].label}`);
+  console.error(`Converted ${features.length - skipped} marker(s) from ${from} to ${to}${notes.length ? ` (skipped ${notes.join(', ')})` : ''}.`);
+  for (const error of errors) console.error(`- ${error}`);
+  if (errors.length) process.exitCode = 1;
+}
+
+module.exports = {
+  readMarkers,
+  unflattenProperties,
+  writeMarkers,
+};
+
+if (require.main === module) {
+  main();
+}
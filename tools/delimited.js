@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+const fs = require('node:fs');
+
+const CANDIDATE_DELIMITERS = [',', '\t', ';'];
+
+function stripBom(text) {
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  let best = ',';
+  let bestCount = 0;
+
+  for (const delimiter of CANDIDATE_DELIMITERS) {
+    let count = 0;
+    let quoted = false;
+    for (const char of firstLine) {
+      if (char === '"') quoted = !quoted;
+      else if (char === delimiter && !quoted) count += 1;
+    }
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+
+  return best;
+}
+
+// RFC 4180-style tokenizer: quoted fields may contain the delimiter, newlines
+// (kept as written, CR LF included) and doubled quotes. Every record remembers
+// the line it started on so callers can point at the offending row.
+function parseDelimited(input, { delimiter, source = 'input' } = {}) {
+  const text = stripBom(input || '');
+  const sep = delimiter || detectDelimiter(text);
+  const records = [];
+
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let fieldWasQuoted = false;
+  let line = 1;
+  let column = 1;
+  let recordLine = 1;
+  let quoteLine = 0;
+  let quoteColumn = 0;
+
+  const endField = () => {
+    fields.push(fieldWasQuoted ? field : field.trim());
+    field = '';
+    fieldWasQuoted = false;
+  };
+
+  const endRecord = () => {
+    endField();
+    if (fields.length > 1 || fields[0] !== '') {
+      records.push({ line: recordLine, fields });
+    }
+    fields = [];
+  };
+
+  for (let i = 0; i < text.length; i += 1) {
+    let char = text[i];
+    // Outside quotes CR LF and a lone CR end the record like LF.
+    if (char === '\r' && !quoted) {
+      if (text[i + 1] === '\n') continue;
+      char = '\n';
+    }
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+        column += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      if (field.trim() !== '') {
+        throw new Error(`${source}:${line}:${column}: quote inside an unquoted field.`);
+      }
+      field = '';
+      quoted = true;
+      fieldWasQuoted = true;
+      quoteLine = line;
+      quoteColumn = column;
+    } else if (char === sep) {
+      endField();
+    } else if (char === '\n') {
+      endRecord();
+      recordLine = line + 1;
+    } else if (fieldWasQuoted) {
+      if (char.trim() !== '') {
+        throw new Error(`${source}:${line}:${column}: unexpected character after closing quote.`);
+      }
+    } else {
+      field += char;
+    }
+
+    if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) {
+      line += 1;
+      column = 1;
+    } else {
+      column += 1;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`${source}:${quoteLine}:${quoteColumn}: unterminated quoted field.`);
+  }
+  endRecord();
+
+  if (!records.length) throw new Error(`${source} is empty.`);
+
+  const [header, ...rows] = records;
+  return {
+    delimiter: sep,
+    headers: header.fields,
+    rows,
+  };
+}
+
+function normalizeHeader(header) {
+  return (header || '')
+    .toLowerCase()
+    .replace(/&/g, ' ')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+// columnMap maps a normalized key to the header spellings it accepts, e.g.
+// { "swg_dlp": ["SWG & DLP", "SWG/DLP"] }. Headers without an alias fall back
+// to their normalized form.
+function mapRecords(parsed, columnMap = {}, { source = 'input' } = {}) {
+  const aliasToKey = new Map();
+  for (const [key, aliases] of Object.entries(columnMap)) {
+    aliasToKey.set(normalizeHeader(key), key);
+    for (const alias of aliases) aliasToKey.set(normalizeHeader(alias), key);
+  }
+
+  const keys = parsed.headers.map((header) => {
+    const normalized = normalizeHeader(header);
+    return aliasToKey.get(normalized) || normalized;
+  });
+
+  const rows = [];
+  const errors = [];
+
+  for (const record of parsed.rows) {
+    if (record.fields.length !== keys.length) {
+      errors.push(
+        `${source}:${record.line}: expected ${keys.length} columns, found ${record.fields.length}.`
+      );
+      continue;
+    }
+
+    const row = {};
+    keys.forEach((key, index) => {
+      row[key] = record.fields[index];
+    });
+    Object.defineProperty(row, 'line', { value: record.line, enumerable: false });
+    rows.push(row);
+  }
+
+  return { keys, rows, errors };
+}
+
+module.exports = {
+  detectDelimiter,
+  mapRecords,
+  normalizeHeader,
+  parseDelimited,
+};
+
+if (require.main === module) {
+  const filePath = process.argv[2];
+  if (!filePath) {
+    console.error('Usage: node tools/delimited.js <file>');
+    process.exit(1);
+  }
+  const parsed = parseDelimited(fs.readFileSync(filePath, 'utf8'), { source: filePath });
+  const { rows, errors } = mapRecords(parsed, {}, { source: filePath });
+  errors.forEach((err) => console.error(err));
+  process.stdout.write(`${JSON.stringify(rows, null, 2)}\n`);
+}
@@ -0,0 +1,7 @@
+// The haversine helpers live in docs/nearest.js so the map can use them too.
+const { EARTH_RADIUS_METERS, haversineMeters } = require('../docs/nearest');
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  haversineMeters,
+};
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+const fs = require('node:fs');
+const { foldText, levenshtein } = require('./geocode');
+const { haversineMeters } = require('./distance');
+
+// Markers closer than this are possible duplicates whatever their titles.
+const DEFAULT_RADIUS_METERS = 100;
+
+// Markers with similar titles are possible duplicates when closer than this,
+// which catches the same site submitted with rough coordinates.
+const DEFAULT_TITLE_RADIUS_METERS = 50 * 1000;
+
+const TITLE_SIMILARITY = 0.8;
+
+function pointOf(feature) {
+  const coords = feature?.geometry?.type === 'Point' ? feature.geometry.coordinates : null;
+  return Array.isArray(coords) && coords.every(Number.isFinite) ? coords : null;
+}
+
+// 1 for titles that fold to the same text, down to 0 for nothing in common.
+// A title contained in the other ("Central Library" / "Central Library
+// annex") counts as similar.
+function titleSimilarity(a, b) {
+  const left = foldText(a);
+  const right = foldText(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  const shorter = left.length < right.length ? left : right;
+  const longer = shorter === left ? right : left;
+  if (shorter.length >= 5 && longer.includes(shorter)) return 0.9;
+  return 1 - levenshtein(left, right) / longer.length;
+}
+
+// Geocoded EDCS sites share their city's coordinates on purpose, so pairs
+// where both positions came from the gazetteer are not compared.
+function isApproximate(feature) {
+  return Boolean(feature?.properties?.geocode_precision);
+}
+
+function compare(a, b, { radius, titleRadius }) {
+  const from = pointOf(a);
+  const to = pointOf(b);
+  if (!from || !to) return null;
+
+  const distance = haversineMeters(from, to);
+  if (distance > Math.max(radius, titleRadius)) return null;
+
+  const similarity = titleSimilarity(a.properties?.title, b.properties?.title);
+  const reasons = [];
+  if (distance <= radius) reasons.push(`${Math.round(distance)} m away`);
+  if (distance <= titleRadius && similarity >= TITLE_SIMILARITY) {
+    if (!reasons.length) reasons.push(`${formatDistance(distance)} away`);
+    reasons.push(similarity === 1 ? 'same title' : 'similar title');
+  }
+  return reasons.length ? { distance, similarity, reasons } : null;
+}
+
+function formatDistance(meters) {
+  return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+}
+
+// Existing markers that the given feature may duplicate, closest first.
+function findPossibleDuplicates(
+  feature,
+  features,
+  { radius = DEFAULT_RADIUS_METERS, titleRadius = DEFAULT_TITLE_RADIUS_METERS } = {}
+) {
+  const id = feature?.properties?.id;
+  return features
+    .filter((other) => other !== feature && (!id || other?.properties?.id !== id))
+    .map((other) => ({ feature: other, match: compare(feature, other, { radius, titleRadius }) }))
+    .filter((entry) => entry.match)
+    .map((entry) => ({ feature: entry.feature, ...entry.match }))
+    .sort((a, b) => a.distance - b.distance);
+}
+
+// Every pair of possible duplicates in a dataset as { a, b, distance,
+// similarity, reasons }, where a and b are feature indexes.
+function auditDuplicates(
+  features,
+  { radius = DEFAULT_RADIUS_METERS, titleRadius = DEFAULT_TITLE_RADIUS_METERS, includeGeocoded = false } = {}
+) {
+  const limit = Math.max(radius, titleRadius);
+  const points = features
+    .map((feature, index) => ({ feature, index, point: pointOf(feature) }))
+    .filter((entry) => entry.point)
+    .sort((a, b) => a.point[1] - b.point[1]);
+
+  const pairs = [];
+  for (let i = 0; i < points.length; i += 1) {
+    for (let j = i + 1; j < points.length; j += 1) {
+      // Sorted by latitude, so once the latitude gap alone exceeds the limit
+      // (~111 km per degree) no later point can match.
+      if ((points[j].point[1] - points[i].point[1]) * 111000 > limit) break;
+      const [first, second] = [points[i], points[j]].sort((x, y) => x.index - y.index);
+      if (!includeGeocoded && isApproximate(first.feature) && isApproximate(second.feature)) continue;
+      const match = compare(first.feature, second.feature, { radius, titleRadius });
+      if (match) pairs.push({ a: first.index, b: second.index, ...match });
+    }
+  }
+  return pairs.sort((x, y) => x.a - y.a || x.b - y.b);
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  const optionValues = new Set(['--radius', '--title-radius', '--format'].map(option));
+  const filePath = args.find((arg) => !arg.startsWith('--') && !optionValues.has(arg)) || 'docs/data/markers.geojson';
+
+  const radius = Number(option('--radius') ?? DEFAULT_RADIUS_METERS);
+  const titleRadius = Number(option('--title-radius') ?? DEFAULT_TITLE_RADIUS_METERS);
+  if (!Number.isFinite(radius) || !Number.isFinite(titleRadius)) {
+    console.error('Usage: node tools/duplicates.js [file] [--radius m] [--title-radius m] [--all] [--format json]');
+    process.exit(1);
+  }
+
+  const features = JSON.parse(fs.readFileSync(filePath, 'utf8')).features || [];
+  const pairs = auditDuplicates(features, { radius, titleRadius, includeGeocoded: args.includes('--all') });
+
+  if (option('--format') === 'json') {
+    const idOf = (index) => features[index]?.properties?.id ?? null;
+    const output = pairs.map((pair) => ({ ...pair, a_id: idOf(pair.a), b_id: idOf(pair.b) }));
+    process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+  } else if (!pairs.length) {
+    console.log(`No possible duplicates in ${filePath}.`);
+  } else {
+    console.log(`Possible duplicates in ${filePath} (${pairs.length}):`);
+    for (const pair of pairs) {
+      const a = features[pair.a].properties || {};
+      const b = features[pair.b].properties || {};
+      console.log(`- ${a.id} "${a.title}" / ${b.id} "${b.title}": ${pair.reasons.join(', ')}`);
+    }
+  }
+  process.exit(pairs.length ? 1 : 0);
+}
+
+module.exports = {
+  DEFAULT_RADIUS_METERS,
+  auditDuplicates,
+  findPossibleDuplicates,
+  formatDistance,
+  titleSimilarity,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+const fs = require('node:fs');
+const path = require('node:path');
+
+const GAZETTEER_FILE = path.join(__dirname, 'data/gazetteer.json');
+
+function foldText(value) {
+  return (value || '')
+    .toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// EDCS locations carry site qualifiers ("Tokyo 2", "Beijing (Multi-AZ)***")
+// that are not part of the place name.
+function cleanLocationName(location) {
+  return (location || '')
+    .replace(/\*+/g, '')
+    .replace(/\([^)]*\)/g, '')
+    .trim()
+    .replace(/\s+\d+$/, '');
+}
+
+function readJson(filePath, fallback) {
+  if (!filePath || !fs.existsSync(filePath)) return fallback;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function createGeocoder({ gazetteer = readJson(GAZETTEER_FILE, {}), overrides = {} } = {}) {
+  const countries = gazetteer.countries || [];
+  const places = gazetteer.places || [];
+
+  const countryByKey = new Map();
+  for (const country of countries) {
+    for (const name of [country.name, country.code, ...(country.aliases || [])]) {
+      countryByKey.set(foldText(name), country);
+    }
+  }
+
+  const placesByKey = new Map();
+  for (const place of places) {
+    const keys = new Set([place.name, ...(place.aliases || [])].map(foldText));
+    for (const key of keys) {
+      if (!placesByKey.has(key)) placesByKey.set(key, []);
+      placesByKey.get(key).push(place);
+    }
+  }
+
+  const overrideByKey = new Map();
+  for (const [key, value] of Object.entries(overrides)) {
+    const [countryName, ...rest] = key.split(' / ');
+    overrideByKey.set(`${foldText(countryName)}|${foldText(rest.join(' / '))}`, value);
+  }
+
+  function findCountry(name) {
+    return countryByKey.get(foldText(name)) || null;
+  }
+
+  function placeResult(place, precision, matchedName) {
+    const country = countries.find((c) => c.code === place.country);
+    return {
+      status: 'resolved',
+      lat: place.lat,
+      lng: place.lng,
+      precision,
+      match: `${place.name}, ${country ? country.name : place.country}`,
+      country_code: place.country,
+      matched_name: matchedName,
+    };
+  }
+
+  function suggest(name, country) {
+    const folded = foldText(name);
+    const pool = country ? places.filter((p) => p.country === country.code) : places;
+    return pool
+      .map((place) => ({
+        name: place.name,
+        distance: Math.min(...[place.name, ...(place.aliases || [])].map((n) => levenshtein(folded, foldText(n)))),
+      }))
+      .filter((entry) => entry.distance <= Math.max(2, Math.floor(folded.length / 3)))
+      .sort((a, b) => a.distance - b.distance || a.name.localeCompare(b.name))
+      .slice(0, 3)
+      .map((entry) => entry.name);
+  }
+
+  function resolveOverride(override, country, location) {
+    if (Number.isFinite(override.lat) && Number.isFinite(override.lng)) {
+      return {
+        status: 'resolved',
+        lat: override.lat,
+        lng: override.lng,
+        precision: 'override',
+        match: override.note || `${location} (override)`,
+        country_code: country ? country.code : undefined,
+        matched_name: location,
+      };
+    }
+
+    const candidates = (placesByKey.get(foldText(override.place)) || []).filter(
+      (place) => !country || place.country === country.code
+    );
+    if (candidates.length !== 1) {
+      return {
+        status: 'unresolved',
+        reason: `override for "${location}" names place "${override.place}" which is not in the gazetteer`,
+        suggestions: suggest(override.place || '', country),
+      };
+    }
+    return placeResult(candidates[0], 'override', location);
+  }
+
+  function resolve(countryName, location) {
+    const country = findCountry(countryName);
+    const override = overrideByKey.get(`${foldText(countryName)}|${foldText(location)}`);
+    if (override) return resolveOverride(override, country, location);
+
+    const name = cleanLocationName(location);
+    if (!name) {
+      return { status: 'unresolved', reason: 'location is empty', suggestions: [] };
+    }
+
+    const matches = placesByKey.get(foldText(name)) || [];
+    const inCountry = country ? matches.filter((place) => place.country === country.code) : matches;
+
+    if (inCountry.length === 1) return placeResult(inCountry[0], 'place', name);
+
+    if (inCountry.length > 1 || (!country && matches.length > 1)) {
+      return {
+        status: 'ambiguous',
+        reason: `"${name}" matches ${inCountry.length || matches.length} gazetteer places`,
+        suggestions: (inCountry.length ? inCountry : matches).map((place) => `${place.name}, ${place.country}`),
+      };
+    }
+
+    const locationCountry = findCountry(name);
+    if (locationCountry && (!country || locationCountry.code === country.code)) {
+      return {
+        status: 'resolved',
+        lat: locationCountry.lat,
+        lng: locationCountry.lng,
+        precision: 'country',
+        match: locationCountry.name,
+        country_code: locationCountry.code,
+        matched_name: name,
+      };
+    }
+
+    if (matches.length) {
+      return {
+        status: 'ambiguous',
+        reason: `"${name}" is not listed under country "${countryName}"`,
+        suggestions: matches.map((place) => `${place.name}, ${place.country}`),
+      };
+    }
+
+    return {
+      status: 'unresolved',
+      reason: country ? `"${name}" is not in the gazetteer for ${country.name}` : `unknown country "${countryName}"`,
+      suggestions: suggest(name, country),
+    };
+  }
+
+  return {
+    resolve,
+    findCountry,
+  };
+}
+
+module.exports = {
+  GAZETTEER_FILE,
+  cleanLocationName,
+  createGeocoder,
+  foldText,
+  levenshtein,
+  readJson,
+};
+
+if (require.main === module) {
+  const [countryName, ...rest] = process.argv.slice(2);
+  const overridesPath = path.join(process.cwd(), 'docs/data/edcs_overrides.json');
+  const geocoder = createGeocoder({ overrides: readJson(overridesPath, {}) });
+  process.stdout.write(`${JSON.stringify(geocoder.resolve(countryName || '', rest.join(' ')), null, 2)}\n`);
+}
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+const fs = require('node:fs');
+const { GEOMETRY_TYPES, geometryErrors } = require('../docs/validate');
+
+const WKT_TYPES = {
+  POINT: 'Point',
+  LINESTRING: 'LineString',
+  POLYGON: 'Polygon',
+  MULTIPOLYGON: 'MultiPolygon',
+};
+
+const NUMBER = '[-+]?(?:\\d+\\.?\\d*|\\.\\d+)(?:[eE][-+]?\\d+)?';
+const WKT_POSITION = new RegExp(`(${NUMBER})\\s+(${NUMBER})(?:\\s+${NUMBER})?`, 'g');
+
+function stripCodeFence(text) {
+  return (text || '')
+    .trim()
+    .replace(/^```[a-z]*\n/i, '')
+    .replace(/\n?```$/, '')
+    .trim();
+}
+
+// Turns WKT such as "POLYGON((lng lat, ...))" into a GeoJSON geometry by
+// rewriting positions and parentheses into JSON arrays. Z values are dropped.
+function parseWkt(text) {
+  const match = /^(?:SRID=\d+;)?\s*([A-Z]+)\s*(?:Z\s*)?(\(.*\))$/is.exec(text);
+  const type = match && WKT_TYPES[match[1].toUpperCase()];
+  if (!type) {
+    throw new Error(`WKT must be one of ${Object.keys(WKT_TYPES).join(', ')} with coordinates in parentheses.`);
+  }
+
+  const json = match[2]
+    .replace(WKT_POSITION, (_, lng, lat) => `[${Number(lng)},${Number(lat)}]`)
+    .replace(/\(/g, '[')
+    .replace(/\)/g, ']');
+  if (!/^[[\]\d.,\s eE+-]*$/.test(json)) throw new Error('WKT coordinates must be "lng lat" number pairs.');
+
+  let coordinates;
+  try {
+    coordinates = JSON.parse(json);
+  } catch {
+    throw new Error('WKT parentheses or commas are unbalanced.');
+  }
+  return { type, coordinates: type === 'Point' ? coordinates[0] : coordinates };
+}
+
+// Accepts a GeoJSON geometry or Feature, or WKT, as pasted into an issue form.
+function parseGeometry(input) {
+  const text = stripCodeFence(input);
+  if (!text) throw new Error('Geometry is empty.');
+
+  let geometry;
+  if (/^[[{]/.test(text)) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Geometry GeoJSON could not be parsed: ${err.message}`);
+    }
+    geometry = data?.type === 'Feature' ? data.geometry : data;
+  } else {
+    geometry = parseWkt(text);
+  }
+
+  const errors = geometryErrors(geometry);
+  if (errors.length) throw new Error(`Geometry ${errors[0]}`);
+  return { type: geometry.type, coordinates: geometry.coordinates };
+}
+
+function countPositions(coordinates) {
+  if (!Array.isArray(coordinates)) return 0;
+  if (typeof coordinates[0] === 'number') return 1;
+  return coordinates.reduce((sum, child) => sum + countPositions(child), 0);
+}
+
+// Short text for comments and history: "[lng, lat]" for points, type and
+// size for shapes.
+function describeGeometry(geometry) {
+  if (geometry?.type === 'Point' && Array.isArray(geometry.coordinates)) return `[${geometry.coordinates.join(', ')}]`;
+  if (!geometry?.type) return JSON.stringify(geometry);
+  return `${geometry.type} (${countPositions(geometry.coordinates)} positions)`;
+}
+
+module.exports = {
+  GEOMETRY_TYPES,
+  describeGeometry,
+  geometryErrors,
+  parseGeometry,
+  stripCodeFence,
+};
+
+if (require.main === module) {
+  if (!process.argv[2]) {
+    console.error('Usage: node tools/geometry.js "<WKT or GeoJSON>" (or - to read stdin)');
+    process.exit(1);
+  }
+  const input = process.argv[2] === '-' ? fs.readFileSync(0, 'utf8') : process.argv.slice(2).join(' ');
+  try {
+    process.stdout.write(`${JSON.stringify(parseGeometry(input))}\n`);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+const { execFileSync } = require('node:child_process');
+
+const DATA_PATH = 'docs/data/markers.geojson';
+
+// Subjects of the commits the issue workflow makes: "chore(markers): apply
+// issue #N" when it commits directly (or a PR is merged with its commits), and
+// the PR title "Apply marker update from issue #N (#PR)" for a squash merge.
+function issueCommitPattern(issueNumber) {
+  return new RegExp(`\\b(?:apply issue|apply marker update from issue) #${issueNumber}(?!\\d)`, 'i');
+}
+
+function git(cwd, args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 });
+}
+
+// Reads earlier versions of markers.geojson from git. Each snapshot is
+// { sha, date, subject, geojson } where geojson is the file as of that commit.
+// The workflow must check out full history (fetch-depth: 0) for this to work.
+function createGitSnapshots({ cwd = process.cwd(), file = DATA_PATH } = {}) {
+  let commits;
+
+  function listCommits() {
+    if (commits) return commits;
+    const out = git(cwd, ['log', '--format=%H%x09%cI%x09%s', '--', file]);
+    commits = out
+      .split('\n')
+      .filter(Boolean)
+      .map((line) => {
+        const [sha, date, ...subject] = line.split('\t');
+        return { sha, date, subject: subject.join('\t') };
+      });
+    return commits;
+  }
+
+  function read(commit) {
+    try {
+      return { ...commit, geojson: JSON.parse(git(cwd, ['show', `${commit.sha}:${file}`])) };
+    } catch {
+      return { ...commit, geojson: { type: 'FeatureCollection', features: [] } };
+    }
+  }
+
+  // State just before the first commit that applied the given issue.
+  function beforeIssue(issueNumber) {
+    const pattern = issueCommitPattern(issueNumber);
+    const list = listCommits();
+    const index = list.map((commit) => pattern.test(commit.subject)).lastIndexOf(true);
+    if (index === -1) return null;
+    const previous = list[index + 1];
+    return previous ? read(previous) : { sha: null, date: null, subject: '(empty)', geojson: { features: [] } };
+  }
+
+  // State as of the last commit made before the given time.
+  function beforeTimestamp(timestamp) {
+    const limit = Date.parse(timestamp);
+    if (Number.isNaN(limit)) return null;
+    const commit = listCommits().find((entry) => Date.parse(entry.date) < limit);
+    return commit ? read(commit) : null;
+  }
+
+  // Snapshots committed after the given one, oldest first.
+  function after(snapshot) {
+    const list = listCommits();
+    const index = snapshot?.sha ? list.findIndex((commit) => commit.sha === snapshot.sha) : list.length;
+    return list.slice(0, Math.max(index, 0)).reverse().map(read);
+  }
+
+  return {
+    after,
+    beforeIssue,
+    beforeTimestamp,
+  };
+}
+
+module.exports = {
+  createGitSnapshots,
+};
+
+if (require.main === module) {
+  const [mode, value] = process.argv.slice(2);
+  const snapshots = createGitSnapshots();
+  const snapshot = mode === '--issue' ? snapshots.beforeIssue(value) : snapshots.beforeTimestamp(value);
+  if (!snapshot) {
+    console.error('No matching snapshot found. Usage: node tools/git_snapshots.js --issue <n> | --before <ISO time>');
+    process.exit(1);
+  }
+  console.log(`${snapshot.sha || '(initial)'} ${snapshot.date || ''} ${snapshot.subject}: ${snapshot.geojson.features?.length || 0} markers`);
+}
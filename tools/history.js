@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+const fs = require('node:fs');
+const path = require('node:path');
+const { describeGeometry } = require('./geometry');
+
+const HISTORY_FILE = path.join(process.cwd(), 'docs/data/history.jsonl');
+
+// Automation-managed fields that change on every mutation and would only add
+// noise to the diff.
+const IGNORED_FIELDS = new Set(['updated_at']);
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function indexById(geojson) {
+  const byId = new Map();
+  for (const feature of geojson?.features || []) {
+    const id = feature?.properties?.id;
+    if (id) byId.set(id, feature);
+  }
+  return byId;
+}
+
+function fieldChanges(before, after) {
+  const changes = {};
+  const propsBefore = before?.properties || {};
+  const propsAfter = after?.properties || {};
+  const keys = new Set([...Object.keys(propsBefore), ...Object.keys(propsAfter)]);
+
+  for (const key of keys) {
+    if (key === 'id' || IGNORED_FIELDS.has(key)) continue;
+    if (sameValue(propsBefore[key], propsAfter[key])) continue;
+    changes[key] = { before: propsBefore[key] ?? null, after: propsAfter[key] ?? null };
+  }
+
+  if (!sameValue(before?.geometry, after?.geometry)) {
+    changes.geometry = { before: before?.geometry ?? null, after: after?.geometry ?? null };
+  }
+
+  return changes;
+}
+
+// Compares two FeatureCollections by marker id and returns one entry per
+// added, updated or deleted marker with a field-level before/after diff.
+function diffCollections(before, after) {
+  const beforeById = indexById(before);
+  const afterById = indexById(after);
+  const diffs = [];
+
+  for (const [id, feature] of afterById) {
+    const previous = beforeById.get(id);
+    const changes = fieldChanges(previous, feature);
+    if (!Object.keys(changes).length) continue;
+    diffs.push({ marker_id: id, operation: previous ? 'update' : 'add', changes });
+  }
+
+  for (const [id, feature] of beforeById) {
+    if (afterById.has(id)) continue;
+    diffs.push({ marker_id: id, operation: 'delete', changes: fieldChanges(feature, null) });
+  }
+
+  return diffs.sort((a, b) => a.marker_id.localeCompare(b.marker_id));
+}
+
+function buildHistoryEntries(before, after, { issue, actor, source = 'issue', timestamp = new Date().toISOString() } = {}) {
+  return diffCollections(before, after).map((diff) => ({
+    timestamp,
+    source,
+    issue: issue?.number ?? null,
+    issue_url: issue?.html_url ?? null,
+    author: issue?.user?.login ?? null,
+    actor: actor ?? null,
+    ...diff,
+  }));
+}
+
+// Undoes history entries on a FeatureCollection, newest first: added markers
+// are removed, deleted ones re-created and updated fields set back. Only
+// valid while the markers still look the way the entries left them.
+// updated_at is not recorded in the history, so callers restore it.
+function revertEntries(geojson, entries) {
+  for (const entry of entries.slice().reverse()) {
+    const index = geojson.features.findIndex((f) => f?.properties?.id === entry.marker_id);
+    const { geometry, ...fields } = entry.changes || {};
+
+    if (entry.operation === 'add') {
+      if (index !== -1) geojson.features.splice(index, 1);
+    } else if (entry.operation === 'delete') {
+      const properties = { id: entry.marker_id };
+      for (const [key, change] of Object.entries(fields)) properties[key] = change.before;
+      geojson.features.push({ type: 'Feature', properties, geometry: geometry?.before ?? null });
+    } else if (index !== -1) {
+      const feature = geojson.features[index];
+      for (const [key, change] of Object.entries(fields)) {
+        if (change.before === null) delete feature.properties[key];
+        else feature.properties[key] = change.before;
+      }
+      if (geometry) feature.geometry = geometry.before;
+    }
+  }
+  return geojson;
+}
+
+function appendHistory(filePath, entries) {
+  if (!entries.length) return;
+  fs.appendFileSync(filePath, entries.map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+}
+
+function readHistory(filePath = HISTORY_FILE) {
+  if (!fs.existsSync(filePath)) return [];
+  return fs
+    .readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter((line) => line.trim())
+    .map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        throw new Error(`${filePath}:${index + 1}: invalid JSON (${err.message}).`);
+      }
+    });
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '∅';
+  if (value?.type && Array.isArray(value.coordinates)) return describeGeometry(value);
+  return JSON.stringify(value);
+}
+
+function formatEntry(entry) {
+  const who = entry.author ? `@${entry.author}` : entry.source;
+  const issue = entry.issue ? ` #${entry.issue}` : '';
+  const lines = [`${entry.timestamp} ${entry.operation} ${entry.marker_id} by ${who}${issue}`];
+  for (const [field, change] of Object.entries(entry.changes || {})) {
+    lines.push(`    ${field}: ${formatValue(change.before)} -> ${formatValue(change.after)}`);
+  }
+  return lines.join('\n');
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+
+  const markerId = option('--marker');
+  const issue = option('--issue');
+  const file = option('--file') || HISTORY_FILE;
+
+  let entries = readHistory(file);
+  if (markerId) entries = entries.filter((entry) => entry.marker_id === markerId);
+  if (issue) entries = entries.filter((entry) => String(entry.issue) === String(issue).replace(/^#/, ''));
+
+  if (args.includes('--json')) {
+    process.stdout.write(`${JSON.stringify(entries, null, 2)}\n`);
+    return;
+  }
+
+  if (!entries.length) {
+    console.log('No matching history entries.');
+    return;
+  }
+  entries.forEach((entry) => console.log(formatEntry(entry)));
+}
+
+module.exports = {
+  HISTORY_FILE,
+  appendHistory,
+  buildHistoryEntries,
+  diffCollections,
+  formatEntry,
+  readHistory,
+  revertEntries,
+};
+
+if (require.main === module) {
+  main();
+}
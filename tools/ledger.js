@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { diffCollections, revertEntries } = require('./history');
+
+const LEDGER_FILE = path.join(process.cwd(), 'docs/data/issue_ledger.json');
+
+// The ledger records every applied issue by number:
+//
+//   "12": { "operation": "update", "request_hash": "…", "approved_hash": "…",
+//           "applied_at": "…",
+//           "markers": { "<id>": { "base_revision": "…", "revision": "…" } } }
+//
+// A marker's revision is its updated_at (null when it does not exist).
+// base_revision is what the issue was applied against and revision what it
+// left behind, which is how a later edit of the issue can tell whether it is
+// still safe to amend. approved_hash is set when the run was approved by the
+// approval label being added; an edit after that needs approving again.
+
+function loadLedger(filePath = LEDGER_FILE) {
+  if (!fs.existsSync(filePath)) return {};
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function saveLedger(filePath, ledger) {
+  const sorted = {};
+  for (const key of Object.keys(ledger).sort((a, b) => Number(a) - Number(b) || a.localeCompare(b))) {
+    sorted[key] = ledger[key];
+  }
+  fs.writeFileSync(filePath, `${JSON.stringify(sorted, null, 2)}\n`);
+}
+
+// Identifies what an issue asks for, so re-runs caused by labels or by edits
+// that leave every field as it was can be told apart from real amendments.
+function requestHash(issueType, parsed) {
+  const fields = Object.keys(parsed)
+    .sort()
+    .map((key) => [key, parsed[key].value, parsed[key].checked]);
+  return crypto.createHash('sha256').update(JSON.stringify([issueType, fields])).digest('hex');
+}
+
+function revisionOf(geojson, id) {
+  const feature = geojson.features.find((f) => f?.properties?.id === id);
+  return feature ? feature.properties.updated_at ?? '' : null;
+}
+
+function issueEntries(history, issueNumber) {
+  return history.filter((entry) => entry.source === 'issue' && String(entry.issue) === String(issueNumber));
+}
+
+// Markers the issue touched that have changed since it was applied, with the
+// most recent other change to each as { id, expected, current, changedBy }.
+function findConflicts(geojson, record, history, issueNumber) {
+  const conflicts = [];
+  for (const [id, { revision }] of Object.entries(record.markers || {})) {
+    const current = revisionOf(geojson, id);
+    if (current === revision) continue;
+
+    const last = history
+      .filter((entry) => entry.marker_id === id && !(entry.source === 'issue' && String(entry.issue) === String(issueNumber)))
+      .pop();
+    const changedBy = last ? (last.issue ? `#${last.issue}` : last.source) : null;
+    conflicts.push({ id, expected: revision, current, changedBy });
+  }
+  return conflicts;
+}
+
+// Puts the markers an issue touched back the way they were before it was
+// applied. Callers must check findConflicts() first.
+function revertIssue(geojson, record, history, issueNumber) {
+  revertEntries(geojson, issueEntries(history, issueNumber));
+  for (const [id, { base_revision: baseRevision }] of Object.entries(record.markers || {})) {
+    const feature = geojson.features.find((f) => f?.properties?.id === id);
+    if (!feature) continue;
+    if (baseRevision) feature.properties.updated_at = baseRevision;
+    else delete feature.properties.updated_at;
+  }
+  return geojson;
+}
+
+// The ledger record for an issue that turned `base` into `after`. An amended
+// issue keeps its original applied_at.
+function ledgerRecord(previous, { operation, hash, approved = false, base, after, timestamp = new Date().toISOString() }) {
+  const markers = {};
+  for (const diff of diffCollections(base, after)) {
+    markers[diff.marker_id] = {
+      base_revision: revisionOf(base, diff.marker_id),
+      revision: revisionOf(after, diff.marker_id),
+    };
+  }
+
+  const record = { operation, request_hash: hash };
+  if (approved) record.approved_hash = hash;
+  record.applied_at = previous?.applied_at || timestamp;
+  if (previous) record.amended_at = timestamp;
+  record.markers = markers;
+  return record;
+}
+
+module.exports = {
+  LEDGER_FILE,
+  findConflicts,
+  issueEntries,
+  ledgerRecord,
+  loadLedger,
+  requestHash,
+  revertIssue,
+  saveLedger,
+};
+
+if (require.main === module) {
+  const issue = process.argv[2]?.replace(/^#/, '');
+  const ledger = loadLedger();
+  const output = issue ? ledger[issue] ?? null : ledger;
+  if (issue && !output) {
+    console.error(`Issue #${issue} has not been applied.`);
+    process.exit(1);
+  }
+  process.stdout.write(`${JSON.stringify(output, null, 2)}\n`);
+}
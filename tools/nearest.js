@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+const fs = require('node:fs');
+const path = require('node:path');
+const { formatDistance, rankNearest } = require('../docs/nearest');
+const { createGeocoder, readJson } = require('./geocode');
+
+const DEFAULT_TOP = 5;
+
+const USAGE = [
+  'Usage: node tools/nearest.js <lat> <lng> [options]',
+  '       node tools/nearest.js <country> <place> [options]',
+  'Options: --top N, --service zta,firewall, --match all|any, --category Europe, --file markers.geojson, --format json',
+].join('\n');
+
+// Same rules as the map's Services panel: every listed service must be
+// enabled, or at least one with match "any".
+function matchesServices(props, services, match) {
+  if (!services.length) return true;
+  const test = (key) => props.services?.[key] === true;
+  return match === 'any' ? services.some(test) : services.every(test);
+}
+
+// Markers the map would show for the given filters.
+function candidateFeatures(features, { services = [], match = 'all', categories = [] } = {}) {
+  const wanted = new Set(categories.map((category) => category.toLowerCase()));
+  return features.filter((feature) => {
+    const props = feature?.properties || {};
+    if (props.import_status === 'removed') return false;
+    if (wanted.size && !wanted.has(String(props.category || 'Uncategorized').toLowerCase())) return false;
+    return matchesServices(props, services, match);
+  });
+}
+
+function resolveOrigin(positional) {
+  const [first, second] = positional.map(Number);
+  if (positional.length === 2 && Number.isFinite(first) && Number.isFinite(second)) {
+    if (Math.abs(first) > 90 || Math.abs(second) > 180) throw new Error('Latitude must be in [-90, 90] and longitude in [-180, 180].');
+    return { lat: first, lng: second, label: `${first}, ${second}` };
+  }
+
+  const [country, ...place] = positional;
+  const overrides = readJson(path.join(process.cwd(), 'docs/data/edcs_overrides.json'), {});
+  const result = createGeocoder({ overrides }).resolve(country || '', place.join(' '));
+  if (result.status !== 'resolved') {
+    const hint = result.suggestions?.length ? ` Did you mean: ${result.suggestions.join('; ')}?` : '';
+    throw new Error(`Could not place "${positional.join(' ')}": ${result.reason}.${hint}`);
+  }
+  return { lat: result.lat, lng: result.lng, label: result.match };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  const valueOptions = ['--top', '--service', '--match', '--category', '--file', '--format'];
+  const skip = new Set(valueOptions.map((name) => args.indexOf(name)).filter((index) => index !== -1).map((index) => index + 1));
+  const positional = args.filter((arg, index) => !arg.startsWith('--') && !skip.has(index));
+
+  const top = Number(option('--top') ?? DEFAULT_TOP);
+  const match = option('--match') || 'all';
+  if (!positional.length || !Number.isInteger(top) || top < 1 || !['all', 'any'].includes(match)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  let origin;
+  try {
+    origin = resolveOrigin(positional);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  const filePath = option('--file') || 'docs/data/markers.geojson';
+  const features = JSON.parse(fs.readFileSync(filePath, 'utf8')).features || [];
+  const list = (value) => (value ? value.split(',').map((item) => item.trim()).filter(Boolean) : []);
+  const candidates = candidateFeatures(features, {
+    services: list(option('--service')),
+    match,
+    categories: list(option('--category')),
+  });
+  const ranked = rankNearest([origin.lng, origin.lat], candidates, { limit: top });
+
+  if (option('--format') === 'json') {
+    const output = ranked.map((entry) => ({
+      id: entry.feature.properties?.id ?? null,
+      title: entry.feature.properties?.title ?? null,
+      distance_m: Math.round(entry.distance),
+      position: entry.position,
+    }));
+    process.stdout.write(`${JSON.stringify({ origin, candidates: candidates.length, nearest: output }, null, 2)}\n`);
+    return;
+  }
+
+  if (!ranked.length) {
+    console.log(`No markers in ${filePath} match the filters.`);
+    process.exit(1);
+  }
+
+  console.log(`Nearest to ${origin.label} (${candidates.length} candidate marker${candidates.length === 1 ? '' : 's'}):`);
+  ranked.forEach((entry, index) => {
+    const props = entry.feature.properties || {};
+    const where = [props.country, props.category].filter(Boolean).join(', ');
+    console.log(`${index + 1}. ${formatDistance(entry.distance)}  ${props.id}  "${props.title}"${where ? ` (${where})` : ''}`);
+  });
+}
+
+module.exports = {
+  candidateFeatures,
+};
+
+if (require.main === module) {
+  main();
+}
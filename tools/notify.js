@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+// Posts the changes an issue just made to MARKER_WEBHOOK_URL, for chat
+// channels and downstream systems. Run after the change is committed.
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const { pipelineFiles } = require('./apply_marker_issue');
+const { pagesUrl } = require('./build_site');
+const { describeChange, titlesOf } = require('./changes');
+const { readHistory } = require('./history');
+
+const EVENT = 'markers.changed';
+const SIGNATURE_HEADER = 'X-Marker-Signature-256';
+const TIMEOUT_MS = 10000;
+const RETRY_DELAYS_MS = [1000, 5000];
+
+const USAGE = 'Usage: node tools/notify.js --issue N [--url https://…] [--dry-run]';
+
+// The entries written by the latest application of an issue. An issue that
+// is edited and applied again has older entries too.
+function latestEntries(history, issue) {
+  const entries = history.filter((entry) => entry.issue === issue);
+  const newest = entries.map((entry) => entry.timestamp).sort().pop();
+  return entries.filter((entry) => entry.timestamp === newest);
+}
+
+// `text` is a one-paragraph summary so Slack and similar incoming webhooks
+// show something readable without a template.
+function buildPayload(entries, { repository = null, geojson = null, baseUrl = null } = {}) {
+  const titles = titlesOf(geojson);
+  const first = entries[0] || {};
+  const changes = entries.map((entry) => {
+    const change = describeChange(entry, { titles });
+    return {
+      operation: change.operation,
+      kinds: change.kinds,
+      marker_id: change.marker_id,
+      title: change.title,
+      summary: change.summary,
+      changed_fields: change.changed_fields,
+      services: change.services,
+      moved_meters: change.moved_meters,
+      page_url:
+        baseUrl && entry.operation !== 'delete' ? `${baseUrl}markers/${encodeURIComponent(entry.marker_id)}/` : null,
+      changes: entry.changes || {},
+    };
+  });
+  const issue = first.issue ? { number: first.issue, url: first.issue_url ?? null, author: first.author ?? null } : null;
+  const lead = issue ? `Issue #${issue.number}` : 'Markers changed';
+  return {
+    event: EVENT,
+    repository,
+    timestamp: first.timestamp ?? null,
+    issue,
+    text: `${lead}: ${changes.map((change) => change.summary).join(' ')}`,
+    changes,
+  };
+}
+
+function sign(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Network errors and 5xx responses are retried; anything else fails at once.
+async function postWebhook(url, payload, { secret = '', fetchImpl = fetch, delays = RETRY_DELAYS_MS } = {}) {
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': 'marker-notify', 'X-Marker-Event': EVENT };
+  if (secret) headers[SIGNATURE_HEADER] = sign(body, secret);
+
+  for (let attempt = 1; ; attempt++) {
+    let response = null;
+    let reason;
+    try {
+      response = await fetchImpl(url, { method: 'POST', headers, body, signal: AbortSignal.timeout(TIMEOUT_MS) });
+      reason = `HTTP ${response.status}`;
+    } catch (err) {
+      reason = err.cause?.code || err.cause?.message || err.message;
+    }
+    if (response?.ok) return { status: response.status, attempts: attempt };
+    if (response && response.status < 500) throw new Error(`Webhook rejected the payload: ${reason}.`);
+    if (attempt > delays.length) throw new Error(`Webhook failed after ${attempt} attempts: ${reason}.`);
+    await new Promise((resolve) => setTimeout(resolve, delays[attempt - 1]));
+  }
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  const issue = Number(option('--issue'));
+  const dryRun = args.includes('--dry-run');
+  const url = option('--url') || process.env.MARKER_WEBHOOK_URL;
+  if (!Number.isInteger(issue) || issue < 1 || (!url && !dryRun)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  // The same files apply_marker_issue.js just wrote.
+  const files = pipelineFiles();
+  const entries = latestEntries(readHistory(files.history), issue);
+  if (!entries.length) {
+    console.log(`No history entries for issue #${issue}: nothing to send.`);
+    return;
+  }
+  const repository = process.env.GITHUB_REPOSITORY || null;
+  let baseUrl = process.env.MARKER_SITE_URL || pagesUrl(repository);
+  if (baseUrl && !baseUrl.endsWith('/')) baseUrl += '/';
+  const payload = buildPayload(entries, {
+    repository,
+    geojson: fs.existsSync(files.data) ? JSON.parse(fs.readFileSync(files.data, 'utf8')) : null,
+    baseUrl,
+  });
+
+  if (dryRun) {
+    console.log(JSON.stringify(payload, null, 2));
+    return;
+  }
+  try {
+    const { status, attempts } = await postWebhook(url, payload, { secret: process.env.MARKER_WEBHOOK_SECRET || '' });
+    console.log(`Sent ${payload.changes.length} change(s) for issue #${issue}: HTTP ${status} after ${attempts} attempt(s).`);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  buildPayload,
+  latestEntries,
+  postWebhook,
+  sign,
+};
+
+if (require.main === module) {
+  main();
+}
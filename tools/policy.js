@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+const fs = require('node:fs');
+const path = require('node:path');
+
+const POLICY_FILE = path.join(process.cwd(), '.github/marker-policy.json');
+const DEFAULT_APPROVAL_LABEL = 'marker-approved';
+const TARGETED_OPERATIONS = new Set(['update', 'delete', 'restore']);
+
+function loadPolicy(filePath = POLICY_FILE) {
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function lower(list) {
+  return (list || []).map((value) => String(value).toLowerCase());
+}
+
+function approvalLabelOf(policy) {
+  return (policy?.approval_label || DEFAULT_APPROVAL_LABEL).toLowerCase();
+}
+
+// A rule lists who may act: GitHub logins ("*" for anyone), issue
+// author_association values (OWNER, MEMBER, COLLABORATOR, ...) and
+// "org/team" slugs. A rule with no lists at all allows everyone.
+function matchesRule(rule, actor) {
+  const authors = lower(rule.authors);
+  const associations = lower(rule.author_associations);
+  const teams = lower(rule.teams);
+  if (!authors.length && !associations.length && !teams.length) return true;
+
+  if (authors.includes('*') || authors.includes(actor.login)) return true;
+  if (associations.includes(actor.association)) return true;
+  return actor.teams.some((team) => teams.includes(team));
+}
+
+// Evaluates every requested change against the policy. Returns
+// { decision: 'allow' | 'deny' | 'pending', reasons: [] }; any denial wins over
+// pending, and pending changes become allowed once approved. By default the
+// approval label on the issue approves (only users with triage access can add
+// labels); callers that know what the label was added for pass `approved`.
+function evaluatePolicy(policy, { author, association, teams = [], labels = [], approved, requests = [] }) {
+  if (!policy) return { decision: 'allow', reasons: [] };
+
+  const actor = {
+    login: String(author || '').toLowerCase(),
+    association: String(association || 'NONE').toLowerCase(),
+    teams: lower(teams),
+  };
+  const approvalLabel = approvalLabelOf(policy);
+  const isApproved = approved ?? lower(labels).includes(approvalLabel);
+  const protectedIds = new Set(policy.protected_ids || []);
+  const owners = policy.category_owners || {};
+
+  const denied = [];
+  const needsApproval = [];
+
+  for (const request of requests) {
+    const target = request.id ? `${request.operation} "${request.id}"` : request.operation;
+    const rule = policy.operations?.[request.operation] || policy.operations?.default || {};
+
+    if (!matchesRule(rule, actor)) {
+      if (rule.allow_with_approval) needsApproval.push(`@${author} is not allowed to ${target} without approval`);
+      else denied.push(`@${author} is not allowed to ${target}`);
+      continue;
+    }
+
+    if (rule.require_approval) needsApproval.push(`${target} requires approval`);
+
+    if (request.id && protectedIds.has(request.id) && TARGETED_OPERATIONS.has(request.operation)) {
+      needsApproval.push(`marker "${request.id}" is protected`);
+    }
+
+    for (const category of request.categories || []) {
+      const owner = owners[category];
+      if (owner && !matchesRule(owner, actor)) {
+        needsApproval.push(`category "${category}" is owned by ${describeRule(owner)}`);
+      }
+    }
+  }
+
+  if (denied.length) return { decision: 'deny', reasons: denied };
+  if (needsApproval.length && !isApproved) {
+    return { decision: 'pending', reasons: needsApproval, approvalLabel };
+  }
+  return { decision: 'allow', reasons: [] };
+}
+
+function describeRule(rule) {
+  const parts = [
+    ...(rule.authors || []).map((login) => `@${login}`),
+    ...(rule.teams || []).map((team) => `@${team}`),
+    ...(rule.author_associations || []),
+  ];
+  return parts.join(', ') || 'anyone';
+}
+
+module.exports = {
+  POLICY_FILE,
+  approvalLabelOf,
+  evaluatePolicy,
+  loadPolicy,
+};
+
+if (require.main === module) {
+  const [operation, author, association = 'NONE', id, category] = process.argv.slice(2);
+  if (!operation || !author) {
+    console.error('Usage: node tools/policy.js <operation> <login> [association] [marker-id] [category]');
+    process.exit(1);
+  }
+  const result = evaluatePolicy(loadPolicy(), {
+    author,
+    association,
+    teams: (process.env.MARKER_AUTHOR_TEAMS || '').split(',').filter(Boolean),
+    requests: [{ operation, id, categories: category ? [category] : [] }],
+  });
+  process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+}
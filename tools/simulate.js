@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+const fs = require('node:fs');
+const { parseIssueType, pipelineFiles, processIssue, resolveNow } = require('./apply_marker_issue');
+const { DEFAULT_RADIUS_METERS } = require('./duplicates');
+const { formatEntry, readHistory } = require('./history');
+const { loadLedger } = require('./ledger');
+
+const USAGE = [
+  'Usage: node tools/simulate.js <issue-body.md|-> --label marker-add [options]',
+  'Options: --label a,b (repeatable), --number N, --author login, --association OWNER, --created-at ISO,',
+  '         --now ISO, --data markers.geojson, --format json',
+].join('\n');
+
+// Runs an issue body through the same pipeline as the workflow and prints the
+// outcome and the marker diff. Nothing is written: the data, history and
+// ledger files are only read, so amendments of applied issues show up too.
+// The labels count as just added, as for a new issue, so an approval label
+// approves the body as given.
+function simulateIssue(body, { labels, number = 0, author = 'simulate', association = 'OWNER', createdAt, now, files = pipelineFiles() }) {
+  const issue = {
+    number,
+    body,
+    labels: labels.map((name) => ({ name })),
+    user: { login: author },
+    author_association: association,
+    created_at: createdAt,
+  };
+  const before = JSON.parse(fs.readFileSync(files.data, 'utf8'));
+  const teams = (process.env.MARKER_AUTHOR_TEAMS || '').split(',').map((team) => team.trim()).filter(Boolean);
+  return processIssue(issue, before, {
+    ledger: loadLedger(files.ledger),
+    history: readHistory(files.history),
+    teams,
+    duplicateRadius: Number(process.env.MARKER_DUPLICATE_RADIUS_METERS) || DEFAULT_RADIUS_METERS,
+    addedLabels: labels,
+    actor: author,
+    now,
+  });
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  const valueOptions = ['--label', '--number', '--author', '--association', '--created-at', '--now', '--data', '--format'];
+  const skip = new Set(args.flatMap((arg, index) => (valueOptions.includes(arg) ? [index + 1] : [])));
+  const [input] = args.filter((arg, index) => !arg.startsWith('--') && !skip.has(index));
+  const labels = args
+    .flatMap((arg, index) => (arg === '--label' ? (args[index + 1] || '').split(',') : []))
+    .map((label) => label.trim())
+    .filter(Boolean);
+
+  if (!input || !parseIssueType(labels.map((name) => ({ name })))) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  let result;
+  let entries;
+  try {
+    const body = fs.readFileSync(input === '-' ? 0 : input, 'utf8');
+    const files = pipelineFiles(option('--data') ? { ...process.env, MARKER_DATA_FILE: option('--data') } : process.env);
+    ({ result, entries } = simulateIssue(body, {
+      labels,
+      number: Number(option('--number') ?? 0),
+      author: option('--author'),
+      association: option('--association'),
+      createdAt: option('--created-at'),
+      now: option('--now') ? resolveNow({ MARKER_NOW: option('--now') }) : resolveNow(),
+      files,
+    }));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  if (option('--format') === 'json') {
+    process.stdout.write(`${JSON.stringify({ result, changes: entries }, null, 2)}\n`);
+  } else {
+    console.log(`${result.ok ? '✅' : result.pending ? '⏳' : '❌'} ${result.message}`);
+    if (result.details) console.log(`\n${result.details}`);
+    if (entries.length) {
+      console.log(`\nWould change ${entries.length} marker${entries.length === 1 ? '' : 's'} (dry run, nothing written):`);
+      entries.forEach((entry) => console.log(formatEntry(entry)));
+    }
+  }
+  if (!result.ok) process.exit(1);
+}
+
+module.exports = {
+  simulateIssue,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+const fs = require('node:fs');
+const { SERVICE_LABELS, computeStats } = require('../docs/stats');
+
+const USAGE = 'Usage: node tools/stats.js [--file markers.geojson] [--format markdown|json] [--now ISO]';
+
+function escapeCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+// Columns holding only counts are right-aligned.
+function table(headers, rows) {
+  const numeric = headers.map((header, index) => rows.length > 0 && rows.every((row) => /^\d+$/.test(row[index])));
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${numeric.map((right) => (right ? '---:' : '---')).join(' | ')} |`,
+    ...rows.map((row) => `| ${row.map(escapeCell).join(' | ')} |`),
+  ].join('\n');
+}
+
+function plural(count, noun, nouns = `${noun}s`) {
+  return `${count} ${count === 1 ? noun : nouns}`;
+}
+
+function serviceCell(group, key) {
+  return group.with_services ? String(group.services[key]) : '–';
+}
+
+// The same sections as the dashboard page, for pasting into an issue or a
+// status report.
+function toMarkdown(stats) {
+  const keys = Object.keys(SERVICE_LABELS);
+  const labels = Object.values(SERVICE_LABELS);
+  const sections = [
+    `# Marker statistics`,
+    `Generated ${stats.generated_at}: ${plural(stats.total, 'site')} in ${plural(stats.countries.length, 'country', 'countries')} ` +
+      `and ${plural(stats.regions.length, 'region')}. ${plural(stats.with_services, 'site')} with service data.`,
+    '## Services',
+    table(
+      ['Service', 'Sites', 'Share'],
+      stats.services.map((service) => [service.label, service.count, service.share === null ? '–' : `${service.share}%`])
+    ),
+    '## Sites by region',
+    table(
+      ['Region', 'Sites', ...labels],
+      stats.regions.map((region) => [region.name, region.count, ...keys.map((key) => serviceCell(region, key))])
+    ),
+    '## Capability gaps',
+    'Regions and countries with service data where no site offers the service.',
+    table(
+      ['Service', 'Regions without it', 'Countries without it'],
+      keys.map((key) => [
+        SERVICE_LABELS[key],
+        stats.gaps.regions[key].join(', ') || '–',
+        stats.gaps.countries[key].join(', ') || '–',
+      ])
+    ),
+    '## Sites by country',
+    table(
+      ['Country', 'Region', 'Sites', ...labels],
+      stats.countries.map((country) => [
+        country.name,
+        country.region || '–',
+        country.count,
+        ...keys.map((key) => serviceCell(country, key)),
+      ])
+    ),
+  ];
+  if (stats.without_country) sections.push(`${plural(stats.without_country, 'site')} without a country.`);
+  if (stats.dc_types.length) {
+    sections.push('## DC types', table(['DC type', 'Sites'], stats.dc_types.map((type) => [type.name, type.count])));
+  }
+
+  const { freshness } = stats;
+  sections.push(
+    '## Data freshness',
+    table(
+      ['Last updated', 'Sites'],
+      [...freshness.buckets.map((bucket) => [bucket.label, bucket.count]), ...(freshness.unknown ? [['Unknown', freshness.unknown]] : [])]
+    )
+  );
+  if (freshness.newest) {
+    sections.push(
+      `Newest update ${freshness.newest}, oldest ${freshness.oldest}, median age ${freshness.median_age_days} days.`
+    );
+  }
+  return `${sections.join('\n\n')}\n`;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+
+  const format = option('--format') || 'markdown';
+  const now = option('--now') || new Date().toISOString();
+  if (!['markdown', 'json'].includes(format) || Number.isNaN(Date.parse(now))) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const filePath = option('--file') || 'docs/data/markers.geojson';
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const stats = computeStats(data.features || [], { now: new Date(now) });
+  process.stdout.write(format === 'json' ? `${JSON.stringify(stats, null, 2)}\n` : toMarkdown(stats));
+}
+
+module.exports = {
+  toMarkdown,
+};
+
+if (require.main === module) {
+  main();
+}
@@ -1,87 +1,129 @@
 #!/usr/bin/env node
 const fs = require('node:fs');
+const path = require('node:path');
+const { createGeocoder } = require('./geocode');
+const { haversineMeters } = require('./distance');
+const { auditDuplicates } = require('./duplicates');
+const { checkCollection, formatIssue } = require('../docs/validate');
 
-function isValidUrl(value) {
-  try {
-    const url = new URL(value);
-    return ['http:', 'https:'].includes(url.protocol);
-  } catch {
-    return false;
-  }
+const SCHEMA_FILE = path.join(__dirname, '../docs/data/marker_schema.json');
+
+// Markers closer than this are reported as possible duplicates.
+const DUPLICATE_RADIUS_METERS = 25;
+
+// A point this far from its country's centroid, whose swapped coordinates
+// land much closer, probably has latitude and longitude the wrong way round.
+const SWAP_MIN_METERS = 2000 * 1000;
+
+function loadSchema(filePath = SCHEMA_FILE) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
 }
 
-function validateGeoJSON(data) {
-  const errors = [];
+function checkSuspiciousPoint(props, [lng, lat], geocoder, report) {
+  if (lng === 0 && lat === 0) {
+    report({
+      severity: 'warning',
+      field: 'geometry',
+      rule: 'null-island',
+      message: 'is at [0, 0]; the coordinates were probably left empty.',
+    });
+    return;
+  }
 
-  if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
-    errors.push('Root object must be a GeoJSON FeatureCollection with a features array.');
-    return errors;
+  const country = props.country ? geocoder.findCountry(props.country) : null;
+  if (!country || Math.abs(lng) > 90) return;
+
+  const centroid = [country.lng, country.lat];
+  const distance = haversineMeters([lng, lat], centroid);
+  const swapped = haversineMeters([lat, lng], centroid);
+  if (distance > SWAP_MIN_METERS && swapped < distance / 4) {
+    report({
+      severity: 'warning',
+      field: 'geometry',
+      rule: 'swapped-coordinates',
+      message: `is ${Math.round(distance / 1000)} km from ${country.name}; [${lat}, ${lng}] would be ${Math.round(
+        swapped / 1000
+      )} km. Latitude and longitude may be swapped.`,
+    });
   }
+}
 
-  const ids = new Set();
+// Validates a marker FeatureCollection and returns
+// { errors: [...], warnings: [...] }, each entry being
+// { feature, id, field, rule, message }. On top of the shared checks in
+// docs/validate.js it warns about suspicious points and near-duplicates.
+function validateDataset(
+  data,
+  { schema = loadSchema(), geocoder = createGeocoder(), duplicateRadius = DUPLICATE_RADIUS_METERS } = {}
+) {
+  const errors = [];
+  const warnings = [];
+  const add = (entry) => (entry.severity === 'warning' ? warnings : errors).push(entry);
 
-  data.features.forEach((feature, index) => {
-    const prefix = `feature[${index}]`;
-    if (!feature || feature.type !== 'Feature') {
-      errors.push(`${prefix}: must be type "Feature".`);
-      return;
-    }
+  const entries = checkCollection(data, schema);
+  entries.forEach(add);
+  if (entries.some((entry) => entry.rule === 'root')) return { errors, warnings };
 
+  const invalid = new Set(entries.filter((entry) => entry.rule === 'geometry' || entry.rule === 'type').map((entry) => entry.feature));
+  data.features.forEach((feature, index) => {
+    if (invalid.has(index) || feature.geometry.type !== 'Point') return;
     const props = feature.properties || {};
-    const geom = feature.geometry || {};
-
-    if (!props.id || typeof props.id !== 'string') {
-      errors.push(`${prefix}: properties.id is required and must be a string.`);
-    } else if (ids.has(props.id)) {
-      errors.push(`${prefix}: duplicate id "${props.id}".`);
-    } else {
-      ids.add(props.id);
-    }
-
-    if (!props.title || typeof props.title !== 'string') {
-      errors.push(`${prefix}: properties.title is required and must be a string.`);
-    }
-
-    if (props.link && !isValidUrl(props.link)) {
-      errors.push(`${prefix}: properties.link must be a valid http/https URL if provided.`);
-    }
-
-    if (props.icon && props.icon !== 'default' && !isValidUrl(props.icon)) {
-      errors.push(`${prefix}: properties.icon must be "default" or a valid URL.`);
-    }
-
-    if (!props.updated_at || Number.isNaN(Date.parse(props.updated_at))) {
-      errors.push(`${prefix}: properties.updated_at must be an ISO datetime string.`);
-    }
-
-    if (!geom || geom.type !== 'Point' || !Array.isArray(geom.coordinates) || geom.coordinates.length !== 2) {
-      errors.push(`${prefix}: geometry must be Point with [lng, lat] coordinates.`);
-      return;
-    }
-
-    const [lng, lat] = geom.coordinates;
-    if (typeof lat !== 'number' || lat < -90 || lat > 90) {
-      errors.push(`${prefix}: latitude must be a number in [-90, 90].`);
-    }
-    if (typeof lng !== 'number' || lng < -180 || lng > 180) {
-      errors.push(`${prefix}: longitude must be a number in [-180, 180].`);
-    }
+    const id = typeof props.id === 'string' ? props.id : null;
+    const report = ({ severity, field, rule, message }) => add({ severity, feature: index, id, field, rule, message });
+    checkSuspiciousPoint(props, feature.geometry.coordinates, geocoder, report);
   });
 
-  return errors;
+  for (const { a, b, distance } of auditDuplicates(data.features, { radius: duplicateRadius, titleRadius: 0 })) {
+    add({
+      severity: 'warning',
+      feature: b,
+      id: data.features[b].properties?.id ?? null,
+      field: 'geometry',
+      rule: 'near-duplicate',
+      message: `is ${distance.toFixed(1)} m from feature[${a}] "${data.features[a].properties?.id}"; possible duplicate marker.`,
+    });
+  }
+
+  return { errors, warnings };
+}
+
+// Error messages only, for callers that just need to know whether the data
+// can be written.
+function validateGeoJSON(data, options) {
+  return validateDataset(data, options).errors.map(formatIssue);
 }
 
 function main() {
-  const filePath = process.argv[2] || 'docs/data/markers.geojson';
-  const raw = fs.readFileSync(filePath, 'utf8');
-  const data = JSON.parse(raw);
-  const errors = validateGeoJSON(data);
-
-  if (errors.length > 0) {
-    console.error('GeoJSON validation failed:');
-    for (const err of errors) {
-      console.error(`- ${err}`);
-    }
+  const args = process.argv.slice(2);
+  const formatIndex = args.indexOf('--format');
+  const format = formatIndex === -1 ? 'text' : args[formatIndex + 1];
+  const strict = args.includes('--strict');
+  const filePath =
+    args.find((arg, index) => !arg.startsWith('--') && (formatIndex === -1 || index !== formatIndex + 1)) ||
+    'docs/data/markers.geojson';
+
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const { errors, warnings } = validateDataset(data);
+  const ok = errors.length === 0 && (!strict || warnings.length === 0);
+
+  if (format === 'json') {
+    process.stdout.write(`${JSON.stringify({ file: filePath, ok, errors, warnings }, null, 2)}\n`);
+    process.exit(ok ? 0 : 1);
+  }
+
+  if (warnings.length) {
+    console.warn(`GeoJSON validation warnings (${warnings.length}):`);
+    for (const warning of warnings) console.warn(`- ${formatIssue(warning)}`);
+  }
+
+  if (errors.length) {
+    console.error(`GeoJSON validation failed (${errors.length} error(s)):`);
+    for (const error of errors) console.error(`- ${formatIssue(error)}`);
+    process.exit(1);
+  }
+
+  if (!ok) {
+    console.error('GeoJSON validation failed: warnings are not allowed with --strict.');
     process.exit(1);
   }
 
@@ -93,5 +135,9 @@ if (require.main === module) {
 }
 
 module.exports = {
+  SCHEMA_FILE,
+  formatIssue,
+  loadSchema,
+  validateDataset,
   validateGeoJSON,
 };
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+// A local stand-in for a webhook receiver: prints every payload it gets and
+// checks the signature, so tools/notify.js can be tried without a real
+// endpoint.
+const crypto = require('node:crypto');
+const http = require('node:http');
+const { SIGNATURE_HEADER, sign } = require('./notify');
+
+const USAGE = 'Usage: node tools/webhook_stub.js [--port 8787] [--secret s] [--status 204]';
+
+function signatureMatches(body, header, secret) {
+  const expected = Buffer.from(sign(body, secret));
+  const actual = Buffer.from(header || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Answers POSTs with `status` (401 for a bad signature when `secret` is set)
+// and hands each one to onRequest as { headers, body, payload, verified }.
+function createStubServer({ secret = '', status = 204, onRequest = () => {} } = {}) {
+  return http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      let payload = null;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        // reported as payload: null
+      }
+      const verified = secret ? signatureMatches(body, req.headers[SIGNATURE_HEADER.toLowerCase()], secret) : null;
+      onRequest({ method: req.method, headers: req.headers, body, payload, verified });
+      res.writeHead(req.method !== 'POST' ? 405 : verified === false ? 401 : status);
+      res.end();
+    });
+  });
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  if (args.includes('--help')) {
+    console.log(USAGE);
+    return;
+  }
+
+  const port = Number(option('--port') || 8787);
+  const server = createStubServer({
+    secret: option('--secret') || process.env.MARKER_WEBHOOK_SECRET || '',
+    status: Number(option('--status') || 204),
+    onRequest: ({ method, headers, payload, body, verified }) => {
+      const signature = verified === null ? 'unsigned' : verified ? 'signature ok' : 'BAD SIGNATURE';
+      console.log(`${new Date().toISOString()} ${method} ${headers['x-marker-event'] || '-'} (${signature})`);
+      console.log(payload ? JSON.stringify(payload, null, 2) : body);
+    },
+  });
+  server.listen(port, '127.0.0.1', () => {
+    console.log(`Listening on http://127.0.0.1:${server.address().port}/ (Ctrl+C to stop).`);
+  });
+}
+
+module.exports = {
+  createStubServer,
+};
+
+if (require.main === module) {
+  main();
+}
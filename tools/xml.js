@@ -0,0 +1,91 @@
+// Minimal XML reader for KML and GPX imports: elements, attributes, text,
+// CDATA and the predefined/numeric entities. Namespace prefixes are dropped
+// from element and attribute names, so <marker:property> is "property".
+
+const TOKEN =
+  /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/\s*([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|(<)/g;
+const ATTRIBUTE = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return String.fromCodePoint(point);
+    }
+    return ENTITIES[code] ?? entity;
+  });
+}
+
+function lineAt(text, index) {
+  return text.slice(0, index).split('\n').length;
+}
+
+// Returns the document as nested { name, attrs, children, text } nodes under
+// a "#document" root. Throws "source:line: ..." on malformed markup.
+function parseXml(text, { source = 'xml' } = {}) {
+  const root = { name: '#document', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  TOKEN.lastIndex = 0;
+  let match;
+
+  while ((match = TOKEN.exec(text)) !== null) {
+    const [, cdata, closing, opening, attrText, selfClosing, chars, stray] = match;
+    const current = stack[stack.length - 1];
+
+    if (stray) throw new Error(`${source}:${lineAt(text, match.index)}: unexpected "<".`);
+    if (cdata !== undefined) current.text += cdata;
+    else if (chars !== undefined) current.text += decodeEntities(chars);
+    else if (opening) {
+      const node = { name: localName(opening), attrs: {}, children: [], text: '' };
+      let attr;
+      ATTRIBUTE.lastIndex = 0;
+      while ((attr = ATTRIBUTE.exec(attrText || '')) !== null) {
+        node.attrs[localName(attr[1])] = decodeEntities(attr[2] ?? attr[3]);
+      }
+      current.children.push(node);
+      if (!selfClosing) stack.push(node);
+    } else if (closing) {
+      if (stack.length === 1 || current.name !== localName(closing)) {
+        throw new Error(`${source}:${lineAt(text, match.index)}: unexpected </${closing}>.`);
+      }
+      stack.pop();
+    }
+  }
+
+  if (stack.length > 1) throw new Error(`${source}: <${stack[stack.length - 1].name}> is never closed.`);
+  return root;
+}
+
+function child(node, name) {
+  return node?.children.find((item) => item.name === name) || null;
+}
+
+function children(node, name) {
+  return node ? node.children.filter((item) => item.name === name) : [];
+}
+
+// All elements with the given name below node, in document order.
+function descendants(node, name, out = []) {
+  for (const item of node?.children || []) {
+    if (item.name === name) out.push(item);
+    descendants(item, name, out);
+  }
+  return out;
+}
+
+function textOf(node) {
+  return node ? node.text.trim() : '';
+}
+
+module.exports = {
+  child,
+  children,
+  descendants,
+  parseXml,
+  textOf,
+};